@@ -44,6 +44,11 @@ const pathfind = async (bot, position, range=1)=>{
     let path = pathfinder.path(bot, bot.entity.position, position, range);
 
     while (botPosition.distanceTo(position) > range) {
+        if (bot.ended) {
+            bot.task.pop();
+            throw new Error("Bot disconnected while walking.");
+        }
+
         path = pathfinder.path(bot, botPosition, position, range);
 
         if (path.length) {
@@ -59,6 +64,27 @@ const pathfind = async (bot, position, range=1)=>{
     bot.task.pop();
 };
 
+// Like pathfind, but gives up as soon as until() says so, for walks that might never get there.
+const walkToward = async (bot, position, range, until)=>{
+    bot.task.push("walk");
+
+    try {
+        while (!until() && bot.entity.position.distanceTo(position) > range) {
+            if (bot.ended) throw new Error("Bot disconnected while walking.");
+
+            const path = pathfinder.path(bot, bot.entity.position, position, range);
+            if (path.length) {
+                pathfinder.walk(bot, path[path.length-1].position);
+            }
+
+            await sleep(100);
+        }
+    } finally {
+        bot.clearControlStates();
+        bot.task.pop();
+    }
+};
+
 var lastSheep;
 
 const getWool = async (bot, block)=>{
@@ -129,6 +155,98 @@ function checkInventory(bot, itemName) {
     return items.filter(item => item.name === itemName).length;
 }
 
+const STORAGE_BLOCKS = ['chest', 'trapped_chest', 'barrel'];
+
+const scanStorage = async (bot, radius=16)=>{
+    bot.task.push("scan storage");
+    ensureData(bot);
+
+    let ids = STORAGE_BLOCKS.map(name => mcData.blocksByName[name]?.id).filter(id => id !== undefined);
+    let positions = bot.findBlocks({ matching: ids, maxDistance: radius, count: 256 });
+    let containers = [];
+    let covered = new Set();
+
+    for (let position of positions) {
+        if (covered.has(position.toString())) continue;
+
+        if (bot.entity.position.distanceTo(position) > 4) {
+            await pathfind(bot, position, 4);
+        }
+
+        let container;
+        try {
+            container = await bot.openContainer(bot.blockAt(position));
+        } catch (error) {
+            console.log(`Couldn't open container at ${position}: ${error.message}`);
+            continue;
+        }
+
+        let items = {};
+        for (let item of container.containerItems()) {
+            items[item.name] = (items[item.name] || 0) + item.count;
+        }
+
+        // A double chest shows both halves, so don't count the other half again.
+        if (container.inventoryStart >= 54) {
+            for (let offset of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                covered.add(position.offset(offset[0], 0, offset[1]).toString());
+            }
+        }
+
+        container.close();
+        containers.push({ position, items });
+    }
+
+    bot.storage = { containers, scannedAt: Date.now() };
+    bot.task.pop();
+
+    return bot.storage;
+};
+
+// Everything the bot can build with: its inventory plus the last storage scan.
+function countStock(bot) {
+    let stock = new Map();
+
+    for (let item of bot.inventory.items()) {
+        stock.set(item.name, (stock.get(item.name) || 0) + item.count);
+    }
+
+    for (let container of bot.storage?.containers || []) {
+        for (let [name, count] of Object.entries(container.items)) {
+            stock.set(name, (stock.get(name) || 0) + count);
+        }
+    }
+
+    return stock;
+}
+
+const withdrawItem = async (bot, itemName, count=64)=>{
+    let source = bot.storage?.containers.find(container => container.items[itemName] > 0);
+    if (!source) return false;
+
+    bot.task.push("withdraw");
+    ensureData(bot);
+
+    if (bot.entity.position.distanceTo(source.position) > 4) {
+        await pathfind(bot, source.position, 4);
+    }
+
+    let amount = Math.min(count, source.items[itemName]);
+
+    try {
+        let container = await bot.openContainer(bot.blockAt(source.position));
+        await container.withdraw(mcData.itemsByName[itemName].id, null, amount);
+        container.close();
+        source.items[itemName] -= amount;
+    } catch (error) {
+        console.log(`Couldn't withdraw ${itemName}: ${error.message}`);
+        amount = 0;
+    }
+
+    bot.task.pop();
+    return amount > 0;
+};
+
 const equip = async (bot, item, slot='hand')=>{
     bot.task.push("equip");
 
@@ -147,7 +265,7 @@ const equip = async (bot, item, slot='hand')=>{
     if (!checkInventory(bot, item)) {
         if (bot.game.gameMode == 'creative') {
             await bot.creative.setInventorySlot(36, new Item(itemType, 1));
-        } else {
+        } else if (!await withdrawItem(bot, item)) {
             if (item.endsWith('_wool')) {
                 await getWool(bot, item);
             } else {
@@ -175,15 +293,25 @@ const placeBlock = async (bot, position, type="dirt")=>{
     }
 
     let referenceBlock = bot.blockAt(position.offset(0, -1, 0), false);
-    await bot.placeBlock(referenceBlock, vec3(0, 1, 0)).catch(console.log);
+    let error;
+    await bot.placeBlock(referenceBlock, vec3(0, 1, 0)).catch((e)=>{
+        error = e.message;
+    });
 
     bot.task.pop();
+
+    // Builds check the world afterwards; this just says why, when the game told us.
+    return error;
 };
 
 exports.sleep = sleep;
 exports.checkOP = checkOP;
 exports.getWool = getWool;
 exports.pathfind = pathfind;
+exports.walkToward = walkToward;
 exports.clearBlock = clearBlock;
 exports.placeBlock = placeBlock;
+exports.scanStorage = scanStorage;
+exports.countStock = countStock;
+exports.withdrawItem = withdrawItem;
 exports.init = init;
\ No newline at end of file
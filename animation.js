@@ -0,0 +1,145 @@
+const { GifReader } = require('omggif');
+const { boundsOf } = require('./safety.js');
+
+const PLAYBACK_MODES = ['loop', 'ping-pong', 'once'];
+
+// Browsers show frames with no (or a 10 ms) delay for 100 ms; GIFs are made to look right there.
+const DEFAULT_DELAY = 100;
+const MIN_DELAY = 20;
+
+// The most blocks one /clone may copy (the vanilla commandModificationBlockLimit).
+const CLONE_LIMIT = 32768;
+
+function normalizePlayback(value) {
+    const playback = String(value ?? 'loop').toLowerCase().replace(/_/g, '-').replace(/^pingpong$/, 'ping-pong');
+    if (!PLAYBACK_MODES.includes(playback)) {
+        throw new Error(`Unknown playback mode "${value}". Use one of: ${PLAYBACK_MODES.join(', ')}.`);
+    }
+    return playback;
+}
+
+// Per-frame delays in milliseconds, read from the GIF's graphic control blocks.
+function readFrameDelays(buffer) {
+    const reader = new GifReader(new Uint8Array(buffer));
+    const delays = [];
+
+    for (let i = 0; i < reader.numFrames(); i++) {
+        const delay = reader.frameInfo(i).delay * 10;
+        delays.push(delay < MIN_DELAY ? DEFAULT_DELAY : delay);
+    }
+    return delays;
+}
+
+/*
+    /clone commands copying the box `source` onto the same-sized box starting
+    at `destination`. Boxes over CLONE_LIMIT are cut into slabs along their
+    longest side.
+*/
+function cloneCommands(source, destination, limit = CLONE_LIMIT) {
+    const { min, max } = source;
+    const extent = { x: max.x - min.x + 1, y: max.y - min.y + 1, z: max.z - min.z + 1 };
+    const axis = ['x', 'y', 'z'].reduce((longest, next) => (extent[next] > extent[longest] ? next : longest));
+    const slab = Math.max(1, Math.floor(limit / ((extent.x * extent.y * extent.z) / extent[axis])));
+
+    const commands = [];
+    for (let start = 0; start < extent[axis]; start += slab) {
+        const from = min.clone();
+        const to = max.clone();
+        from[axis] = min[axis] + start;
+        to[axis] = Math.min(max[axis], from[axis] + slab - 1);
+
+        const target = destination.clone();
+        target[axis] += start;
+
+        commands.push(`/clone ${from.x} ${from.y} ${from.z} ${to.x} ${to.y} ${to.z} ${target.x} ${target.y} ${target.z}`);
+    }
+    return commands;
+}
+
+/*
+    Plays frames built elsewhere on a display area by cloning them onto it
+    one after another, waiting each frame's delay. `frames` are the position
+    lists of the stored frames and `display` the display area's, all the
+    same shape. `send(command)` issues one command and resolves when another
+    may go out. loop starts over after the last frame, ping-pong turns round
+    at either end and once stops on the last frame. `onEnd(state, error)` runs
+    when playback ends by itself, not after stop().
+*/
+function createPlayer({ frames, display, delays, send, playback = 'loop', isStopped = () => false, onEnd = () => {} }) {
+    const target = boundsOf(display).min;
+    const sources = frames.map((positions) => cloneCommands(boundsOf(positions), target));
+
+    const state = {
+        playback: normalizePlayback(playback),
+        index: 0,
+        direction: 1,
+        playing: false,
+        shown: 0,
+    };
+    let run = 0;
+
+    const nextIndex = () => {
+        const last = frames.length - 1;
+        if (last === 0) return null;
+
+        if (state.playback === 'ping-pong') {
+            if (state.index + state.direction > last || state.index + state.direction < 0) state.direction = -state.direction;
+            return state.index + state.direction;
+        }
+        if (state.index === last) return state.playback === 'loop' ? 0 : null;
+        return state.index + 1;
+    };
+
+    const loop = async (id) => {
+        let failure;
+        try {
+            while (run === id && !isStopped()) {
+                const started = Date.now();
+                for (const command of sources[state.index]) await send(command);
+                state.shown++;
+
+                const wait = delays[state.index] - (Date.now() - started);
+                if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+                if (run !== id) break;
+
+                const next = nextIndex();
+                if (next === null) break;
+                state.index = next;
+            }
+        } catch (error) {
+            failure = error;
+        }
+
+        if (run === id) {
+            state.playing = false;
+            onEnd(state, failure);
+        }
+    };
+
+    return {
+        play(mode) {
+            if (mode !== undefined) state.playback = normalizePlayback(mode);
+            if (state.playing) return;
+
+            state.playing = true;
+            if (state.playback === 'once' && state.index === frames.length - 1) state.index = 0;
+            loop(++run);
+        },
+        stop() {
+            run++;
+            state.playing = false;
+        },
+        status() {
+            return { ...state, frames: frames.length };
+        },
+    };
+}
+
+module.exports = {
+    PLAYBACK_MODES,
+    DEFAULT_DELAY,
+    normalizePlayback,
+    readFrameDelays,
+    cloneCommands,
+    createPlayer,
+};
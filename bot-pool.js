@@ -0,0 +1,169 @@
+function isReady(bot) {
+    return Boolean(bot?.entity) && !bot.ended;
+}
+
+/*
+    bot.waitForTicks never settles once the bot disconnects, because the
+    physics loop that counts ticks stops on "end". This rejects instead, so
+    a step that was waiting throws and its work goes to another bot.
+*/
+function waitForTicks(bot, ticks) {
+    if (bot.ended) return Promise.reject(new Error('The bot disconnected.'));
+
+    return new Promise((resolve, reject) => {
+        const onEnd = () => reject(new Error('The bot disconnected.'));
+        bot.once('end', onEnd);
+        bot.waitForTicks(ticks).then(resolve, reject).finally(() => bot.removeListener('end', onEnd));
+    });
+}
+
+/*
+    Extra accounts that help the main bot print. Helpers are keyed by the
+    username they were asked to join as.
+*/
+function createBotPool() {
+    const helpers = new Map();
+
+    return {
+        add(username, bot) {
+            helpers.set(username, bot);
+        },
+        // With `bot`, only removes the helper if it is still that connection.
+        remove(username, bot) {
+            const current = helpers.get(username);
+            if (bot && current !== bot) return undefined;
+            helpers.delete(username);
+            return current;
+        },
+        has(username) {
+            return helpers.has(username);
+        },
+        get helpers() {
+            return [...helpers.entries()].map(([username, bot]) => ({ username, bot }));
+        },
+        // Everyone who can place blocks right now, the main bot first.
+        workers(primary) {
+            return [primary, ...helpers.values()].filter(isReady);
+        },
+    };
+}
+
+/*
+    Runs steps 0..total-1 across several bots. Each bot starts with its own
+    contiguous share (a stripe of the build, since steps run in build order).
+    A bot that runs out takes work someone else gave up, or else the back
+    half of whoever has the most left. A bot that disconnects gives up the
+    rest of its share, including the step it was on.
+
+    runStep(worker, step) does one step; steps may finish out of order. It
+    returns false when it stopped part way because the build was cancelled.
+*/
+async function shareWork(total, workers, runStep, { isCancelled = () => false } = {}) {
+    const shares = new Map();
+    const abandoned = [];
+    const idle = new Set();
+    const loops = [];
+    let failure = null;
+    let interrupted = false;
+
+    workers.forEach((worker, i) => {
+        shares.set(worker, {
+            next: Math.floor(i * total / workers.length),
+            end: Math.floor((i + 1) * total / workers.length),
+        });
+    });
+
+    const stopped = () => failure !== null || isCancelled();
+
+    const takeWork = (worker) => {
+        const own = shares.get(worker);
+        if (own.next < own.end) return true;
+
+        let victim = null;
+        for (const [other, share] of shares) {
+            if (other === worker) continue;
+            if (!isReady(other)) {
+                // Don't wait for a disconnected bot to notice; its untouched steps are free now.
+                if (share.next < share.end) abandoned.push({ next: share.next, end: share.end });
+                share.end = share.next;
+                continue;
+            }
+            if (share.end - share.next >= 2 && (!victim || share.end - share.next > victim.end - victim.next)) {
+                victim = share;
+            }
+        }
+        if (abandoned.length) {
+            shares.set(worker, abandoned.shift());
+            return true;
+        }
+        if (!victim) return false;
+
+        const middle = victim.next + Math.ceil((victim.end - victim.next) / 2);
+        shares.set(worker, { next: middle, end: victim.end });
+        victim.end = middle;
+        return true;
+    };
+
+    const giveUp = (worker, from) => {
+        const share = shares.get(worker);
+        if (from < share.end) abandoned.push({ next: from, end: share.end });
+        shares.set(worker, { next: 0, end: 0 });
+
+        // Bots that already finished come back for the abandoned work.
+        for (const other of idle) {
+            idle.delete(other);
+            loops.push(run(other));
+        }
+    };
+
+    async function run(worker) {
+        while (!stopped()) {
+            if (!isReady(worker)) {
+                giveUp(worker, shares.get(worker).next);
+                return;
+            }
+            if (!takeWork(worker)) {
+                idle.add(worker);
+                return;
+            }
+
+            const share = shares.get(worker);
+            const step = share.next++;
+
+            try {
+                if (await runStep(worker, step) === false) interrupted = true;
+            } catch (error) {
+                if (isReady(worker)) {
+                    failure = error;
+                    return;
+                }
+                giveUp(worker, step);
+                return;
+            }
+        }
+    }
+
+    workers.forEach((worker) => loops.push(run(worker)));
+
+    for (let i = 0; i < loops.length; i++) {
+        await loops[i];
+    }
+
+    if (failure) throw failure;
+
+    const unfinished = abandoned.length > 0 || [...shares.values()].some((share) => share.next < share.end);
+    if (isCancelled() && (unfinished || interrupted)) {
+        return { cancelled: true };
+    }
+    if (unfinished) {
+        throw new Error('Every bot disconnected before the build was finished.');
+    }
+    return { cancelled: false };
+}
+
+module.exports = {
+    isReady,
+    waitForTicks,
+    createBotPool,
+    shareWork,
+};
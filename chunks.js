@@ -0,0 +1,106 @@
+const vec3 = require('vec3');
+
+// Builds work through squares of this many blocks; small enough to fit in any view distance.
+const REGION_SIZE = 32;
+
+// How long a bot may spend getting to unloaded chunks, and how long to wait for them after that (ms).
+const MOVE_TIMEOUT = 60000;
+const LOAD_TIMEOUT = 10000;
+
+const NOT_LOADED = 'chunk not loaded, could not place';
+
+function boundsOf(positions) {
+    const min = new vec3(Infinity, Infinity, Infinity);
+    const max = new vec3(-Infinity, -Infinity, -Infinity);
+
+    for (const { x, y, z } of positions) {
+        min.x = Math.min(min.x, x);
+        min.y = Math.min(min.y, y);
+        min.z = Math.min(min.z, z);
+        max.x = Math.max(max.x, x);
+        max.y = Math.max(max.y, y);
+        max.z = Math.max(max.z, z);
+    }
+
+    return { min, max };
+}
+
+/*
+    Splits items into REGION_SIZE squares and orders the squares column by
+    column, snaking along z, so a bot moves once per square instead of
+    criss-crossing the build. Items keep their order within a square, so a
+    square is still built bottom layer first.
+*/
+function groupByRegion(items, positionOf) {
+    const groups = new Map();
+
+    for (const item of items) {
+        const { x, z } = positionOf(item);
+        const rx = Math.floor(x / REGION_SIZE);
+        const rz = Math.floor(z / REGION_SIZE);
+        const key = `${rx},${rz}`;
+
+        if (!groups.has(key)) groups.set(key, { rx, rz, items: [] });
+        groups.get(key).items.push(item);
+    }
+
+    return [...groups.values()]
+        .sort((a, b) => a.rx - b.rx || (Math.abs(a.rx % 2) ? b.rz - a.rz : a.rz - b.rz))
+        .map((group) => group.items);
+}
+
+function orderByRegion(items, positionOf) {
+    return groupByRegion(items, positionOf).flat();
+}
+
+// One position in every chunk column a box touches, which is all it takes to tell whether the box is loaded.
+function columnsOf(from, to) {
+    const positions = [];
+    for (let x = Math.floor(from.x / 16) * 16; x <= to.x; x += 16) {
+        for (let z = Math.floor(from.z / 16) * 16; z <= to.z; z += 16) {
+            positions.push(new vec3(Math.max(x, from.x), from.y, Math.max(z, from.z)));
+        }
+    }
+    return positions;
+}
+
+function isLoaded(bot, position) {
+    return Boolean(bot.blockAt(position));
+}
+
+/*
+    Makes sure every position is in a loaded chunk. If one isn't,
+    `move(target, until)` takes the bot towards the middle of them, above
+    the highest one, and should stop once until() is true: the chunks have
+    loaded or MOVE_TIMEOUT has passed. Then this waits for the chunks to
+    arrive, and resolves false when they still aren't there after
+    LOAD_TIMEOUT.
+*/
+async function ensureLoaded(bot, positions, move) {
+    const loaded = () => positions.every((position) => isLoaded(bot, position));
+    if (loaded()) return true;
+
+    const { min, max } = boundsOf(positions);
+    const moveDeadline = Date.now() + MOVE_TIMEOUT;
+    await move(
+        new vec3(Math.floor((min.x + max.x) / 2), max.y + 1, Math.floor((min.z + max.z) / 2)),
+        () => bot.ended || Date.now() > moveDeadline || loaded(),
+    );
+
+    const deadline = Date.now() + LOAD_TIMEOUT;
+    while (!loaded()) {
+        if (bot.ended || Date.now() > deadline) return false;
+        await new Promise((resolve) => setTimeout(resolve, 250));
+    }
+    return true;
+}
+
+module.exports = {
+    REGION_SIZE,
+    NOT_LOADED,
+    boundsOf,
+    groupByRegion,
+    orderByRegion,
+    columnsOf,
+    ensureLoaded,
+};
@@ -1,24 +1,234 @@
+const antiColor = require('./antimatter-color.js');
+
 exports.rgb = (r1, g1, b1, r2, g2, b2)=>{
     return Math.hypot(r1-r2, g1-g2, b1-b2);
 }
 
 /*
-    This stuff doesn't work very well.
-    RGB is good enough IMO.
-    Fix it if you'd like.
+    "Redmean" weights the channels by how red the pair of colours is,
+    which tracks perceived differences far better than plain RGB for
+    almost no extra cost.
 */
+exports.redmean = (r1, g1, b1, r2, g2, b2)=>{
+    let rMean = (r1 + r2) / 2;
+    let dr = r1 - r2;
+    let dg = g1 - g2;
+    let db = b1 - b2;
+
+    return Math.sqrt(
+        (2 + rMean / 256) * dr * dr +
+        4 * dg * dg +
+        (2 + (255 - rMean) / 256) * db * db
+    );
+}
+
+function rgb2hsv(r, g, b) {
+    r /= 255;
+    g /= 255;
+    b /= 255;
+
+    let max = Math.max(r, g, b);
+    let min = Math.min(r, g, b);
+    let delta = max - min;
+    let h = 0;
+
+    if (delta > 0) {
+        if (max === r) h = ((g - b) / delta) % 6;
+        else if (max === g) h = (b - r) / delta + 2;
+        else h = (r - g) / delta + 4;
+    }
+
+    h *= 60;
+    if (h < 0) h += 360;
+
+    return [h, max === 0 ? 0 : delta / max, max];
+}
+
+function rgb2hsl(r, g, b) {
+    let [h] = rgb2hsv(r, g, b);
+
+    r /= 255;
+    g /= 255;
+    b /= 255;
+
+    let max = Math.max(r, g, b);
+    let min = Math.min(r, g, b);
+    let l = (max + min) / 2;
+    let delta = max - min;
+    let s = delta === 0 ? 0 : delta / (1 - Math.abs(2 * l - 1));
 
-function rgb2hsv(r,g,b) {
-    return [0, 0, 0];
+    return [h, s, l];
+}
+
+/*
+    Hue is an angle, so HSV and HSL are compared as points in their cone
+    and double cone rather than on the raw (h, s, v) numbers. Greys then
+    all sit on the axis regardless of their meaningless hue.
+*/
+function hsvVector([r, g, b]) {
+    let [h, s, v] = rgb2hsv(r, g, b);
+    let radius = s * v * 255;
+    let angle = h * Math.PI / 180;
+
+    return [radius * Math.cos(angle), radius * Math.sin(angle), v * 255];
+}
+
+function hslVector([r, g, b]) {
+    let [h, s, l] = rgb2hsl(r, g, b);
+    let radius = (1 - Math.abs(2 * l - 1)) * s * 255;
+    let angle = h * Math.PI / 180;
+
+    return [radius * Math.cos(angle), radius * Math.sin(angle), l * 255];
+}
+
+function euclidean(a, b) {
+    return Math.hypot(a[0]-b[0], a[1]-b[1], a[2]-b[2]);
 }
 
 exports.hsv = (r1, g1, b1, r2, g2, b2)=>{
-    let hsv1 = rgb2hsv(r1, g1, b1);
-    let hsv2 = rgb2hsv(r2, g2, b2);
+    return euclidean(hsvVector([r1, g1, b1]), hsvVector([r2, g2, b2]));
+}
+
+exports.hsl = (r1, g1, b1, r2, g2, b2)=>{
+    return euclidean(hslVector([r1, g1, b1]), hslVector([r2, g2, b2]));
+}
+
+// CIEDE2000 as written up by Sharma, Wu and Dalal (2005), with kL = kC = kH = 1.
+function ciede2000(lab1, lab2) {
+    let [L1, a1, b1] = lab1;
+    let [L2, a2, b2] = lab2;
+
+    let C1 = Math.hypot(a1, b1);
+    let C2 = Math.hypot(a2, b2);
+    let meanC = (C1 + C2) / 2;
+    let meanC7 = Math.pow(meanC, 7);
+    let G = 0.5 * (1 - Math.sqrt(meanC7 / (meanC7 + Math.pow(25, 7))));
+
+    let a1p = (1 + G) * a1;
+    let a2p = (1 + G) * a2;
+    let C1p = Math.hypot(a1p, b1);
+    let C2p = Math.hypot(a2p, b2);
+
+    let hueAngle = (b, a)=>{
+        if (a === 0 && b === 0) return 0;
+        let angle = Math.atan2(b, a) * 180 / Math.PI;
+        return angle < 0 ? angle + 360 : angle;
+    };
+
+    let h1p = hueAngle(b1, a1p);
+    let h2p = hueAngle(b2, a2p);
+
+    let dLp = L2 - L1;
+    let dCp = C2p - C1p;
+
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+
+    let dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp * Math.PI / 180) / 2);
+
+    let meanL = (L1 + L2) / 2;
+    let meanCp = (C1p + C2p) / 2;
+
+    let meanHp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+        if (Math.abs(h1p - h2p) <= 180) meanHp = (h1p + h2p) / 2;
+        else if (h1p + h2p < 360) meanHp = (h1p + h2p + 360) / 2;
+        else meanHp = (h1p + h2p - 360) / 2;
+    }
+
+    let rad = (deg)=>deg * Math.PI / 180;
+
+    let T = 1
+        - 0.17 * Math.cos(rad(meanHp - 30))
+        + 0.24 * Math.cos(rad(2 * meanHp))
+        + 0.32 * Math.cos(rad(3 * meanHp + 6))
+        - 0.20 * Math.cos(rad(4 * meanHp - 63));
 
-    return Math.hypot(
-        hsv1[0]-hsv2[0],
-        hsv1[1]-hsv2[1],
-        hsv1[2]-hsv2[2]
+    let dTheta = 30 * Math.exp(-Math.pow((meanHp - 275) / 25, 2));
+    let meanCp7 = Math.pow(meanCp, 7);
+    let RC = 2 * Math.sqrt(meanCp7 / (meanCp7 + Math.pow(25, 7)));
+    let meanL50 = Math.pow(meanL - 50, 2);
+    let SL = 1 + (0.015 * meanL50) / Math.sqrt(20 + meanL50);
+    let SC = 1 + 0.045 * meanCp;
+    let SH = 1 + 0.015 * meanCp * T;
+    let RT = -Math.sin(rad(2 * dTheta)) * RC;
+
+    return Math.sqrt(
+        Math.pow(dLp / SL, 2) +
+        Math.pow(dCp / SC, 2) +
+        Math.pow(dHp / SH, 2) +
+        RT * (dCp / SC) * (dHp / SH)
     );
-}
\ No newline at end of file
+}
+
+exports.ciede2000 = ciede2000;
+exports.rgb2hsv = rgb2hsv;
+exports.rgb2hsl = rgb2hsl;
+
+/*
+    Metrics used by the palette compiler. Each one converts a colour to the
+    vector it is compared in, measures the distance between two vectors
+    (query first), and gives a lower bound on that distance from a single
+    axis difference so the k-d tree can skip branches.
+*/
+exports.metrics = {
+    RGB: {
+        toVector: (rgb)=>[rgb[0], rgb[1], rgb[2]],
+        distance: euclidean,
+        bound: (query, axis, delta)=>Math.abs(delta),
+    },
+    REDMEAN: {
+        toVector: (rgb)=>[rgb[0], rgb[1], rgb[2]],
+        distance: (a, b)=>exports.redmean(a[0], a[1], a[2], b[0], b[1], b[2]),
+        // Red and blue are weighted by at least 2, green always by 4.
+        bound: (query, axis, delta)=>Math.abs(delta) * (axis === 1 ? 2 : Math.SQRT2),
+    },
+    HSV: {
+        toVector: hsvVector,
+        distance: euclidean,
+        bound: (query, axis, delta)=>Math.abs(delta),
+    },
+    HSL: {
+        toVector: hslVector,
+        distance: euclidean,
+        bound: (query, axis, delta)=>Math.abs(delta),
+    },
+    LAB: {
+        toVector: antiColor.rgb2lab,
+        distance: antiColor.deltaE,
+        // deltaE divides chroma and hue differences by at most 1 + 0.045 * C(query).
+        bound: (query, axis, delta)=>{
+            if (axis === 0) return Math.abs(delta);
+            return Math.abs(delta) / (1 + 0.045 * Math.hypot(query[1], query[2]));
+        },
+    },
+    CIEDE2000: {
+        toVector: antiColor.rgb2lab,
+        distance: ciede2000,
+        // No cheap bound exists, so lookups scan the palette and lean on the cache.
+        bound: ()=>0,
+    },
+};
+
+// LAB has always been the CIE94 formula from antimatter-color.js.
+const MODE_ALIASES = {
+    CIE94: 'LAB',
+    DE2000: 'CIEDE2000',
+};
+
+exports.MODES = Object.keys(exports.metrics);
+
+exports.normalizeMode = (mode)=>{
+    let key = String(mode).trim().toUpperCase();
+    key = MODE_ALIASES[key] || key;
+
+    if (!exports.metrics[key]) {
+        throw new Error(`Colour mode must be one of ${exports.MODES.join(', ')} (CIE94 is an alias for LAB).`);
+    }
+
+    return key;
+}
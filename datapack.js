@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const minecraftData = require('minecraft-data');
+const fillPlanner = require('./fill-planner.js');
+const { isAirBlock } = require('./schematic.js');
+
+// Used for pack_format when no bot is connected to say which version we are on.
+const DEFAULT_VERSION = '1.21.1';
+
+// A function and everything it calls may run this many commands per tick (the maxCommandChainLength gamerule).
+const COMMAND_CHAIN_LIMIT = 65536;
+
+// Commands per .mcfunction file; small enough that one part never stalls the server for long.
+const DEFAULT_PART_SIZE = 10000;
+
+// First release using each data pack format, newest first.
+const PACK_FORMATS = [
+    ['1.21.4', 61],
+    ['1.21.2', 57],
+    ['1.21', 48],
+    ['1.20.5', 41],
+    ['1.20.3', 26],
+    ['1.20.2', 18],
+    ['1.20', 15],
+    ['1.19.4', 12],
+    ['1.19', 10],
+    ['1.18.2', 9],
+    ['1.18', 8],
+    ['1.17', 7],
+    ['1.16.2', 6],
+    ['1.15', 5],
+    ['1.13', 4],
+];
+
+function resolveVersion(version) {
+    const data = minecraftData(version || DEFAULT_VERSION) || minecraftData(DEFAULT_VERSION);
+    if (!data.version['>=']('1.13')) {
+        throw new Error(`Data packs need Minecraft 1.13 or newer (connected to ${data.version.minecraftVersion}).`);
+    }
+    return data.version;
+}
+
+// Function names may only use lowercase letters, digits, _, - and . (and / between folders).
+function toResourceName(text, fallback) {
+    const name = String(text).toLowerCase().replace(/[^a-z0-9_.-]+/g, '_').replace(/^_+|_+$/g, '');
+    return name || fallback;
+}
+
+// "~ ~1 ~" or "10,64,-5" -> one { relative, value } per axis.
+function parseOrigin(origin) {
+    const tokens = origin === undefined ? ['~', '~', '~'] : String(origin).split(/[\s,]+/).filter(Boolean);
+
+    if (origin === true || tokens.length !== 3) {
+        throw new Error('The datapack origin needs three coordinates (x y z), each absolute or ~-relative.');
+    }
+
+    return tokens.map((token) => {
+        const relative = token.startsWith('~');
+        const text = relative ? token.slice(1) : token;
+        const value = text === '' && relative ? 0 : Number(text);
+
+        if (!Number.isInteger(value)) {
+            throw new Error(`Invalid origin coordinate "${token}".`);
+        }
+        return { relative, value };
+    });
+}
+
+function formatCoordinates(position, origin) {
+    return ['x', 'y', 'z'].map((axis, index) => {
+        const { relative, value } = origin[index];
+        const coordinate = value + position[axis];
+        if (!relative) return String(coordinate);
+        return coordinate === 0 ? '~' : `~${coordinate}`;
+    }).join(' ');
+}
+
+function formatCommand({ from, to, block, count }, origin, keep) {
+    const mode = keep ? ' keep' : '';
+    if (count === 1) {
+        return `setblock ${formatCoordinates(from, origin)} ${block}${mode}`;
+    }
+    return `fill ${formatCoordinates(from, origin)} ${formatCoordinates(to, origin)} ${block}${mode}`;
+}
+
+/*
+    Turns a region into a data pack of setblock/fill commands. The region's
+    smallest corner lands on the origin, which is either absolute or relative
+    to whoever runs the function (`~ ~ ~` by default). Commands are split into
+    part files of at most `partSize`, and <namespace>:<name> runs every part in
+    order: directly when the whole build fits in one command chain, otherwise
+    one part per tick so no single tick goes over the limit. Scheduled parts
+    lose the caller's position, so those builds need an absolute origin. With `keep`,
+    the commands only fill air, like the keep overwrite policy.
+
+    Writes a folder, or a zip when `target` ends in .zip.
+*/
+function writeDatapack(region, target, {
+    name,
+    namespace = 'printer',
+    origin,
+    includeAir = false,
+    partSize = DEFAULT_PART_SIZE,
+    fillLimit,
+    keep = false,
+    version,
+    description,
+} = {}) {
+    const resolved = path.resolve(String(target));
+    const isZip = path.extname(resolved).toLowerCase() === '.zip';
+    const packName = path.basename(resolved, isZip ? '.zip' : '');
+    const functionName = toResourceName(name ?? packName, 'build');
+    const space = toResourceName(namespace, 'printer').replace(/\./g, '_');
+    const gameVersion = resolveVersion(version);
+    const offsets = parseOrigin(origin);
+
+    const entries = region.entries()
+        .filter(({ block }) => (includeAir && !keep) || !isAirBlock(block))
+        .map(({ position: [x, y, z], block }) => ({ position: { x, y, z }, block: String(block) }));
+
+    if (!entries.length) {
+        throw new Error('Nothing to export: the build has no blocks.');
+    }
+
+    const commands = fillPlanner.planFills(entries, { limit: fillLimit }).map((fill) => formatCommand(fill, offsets, keep));
+
+    // A part runs in one chain together with the command that calls it; any more and the game cuts it short.
+    const size = Math.min(partSize, COMMAND_CHAIN_LIMIT - 1);
+    const parts = [];
+    for (let i = 0; i < commands.length; i += size) {
+        parts.push(commands.slice(i, i + size));
+    }
+
+    // 1.21 renamed the functions folder to function.
+    const folder = gameVersion['>=']('1.21') ? 'function' : 'functions';
+    const partId = (index) => `${space}:${functionName}/part_${index + 1}`;
+    const fitsOneChain = commands.length + parts.length <= COMMAND_CHAIN_LIMIT;
+
+    if (!fitsOneChain) {
+        if (!gameVersion['>=']('1.14')) {
+            throw new Error(`${commands.length} commands don't fit in one command chain, and spreading them over ticks needs /schedule (Minecraft 1.14 or newer).`);
+        }
+        // Scheduled functions run at the world spawn rather than where /function was run.
+        if (offsets.some(({ relative }) => relative)) {
+            throw new Error(`${commands.length} commands don't fit in one command chain, so the parts run on later ticks from the world spawn. Give an absolute --origin x,y,z.`);
+        }
+    }
+    const main = parts.map((_, index) => (
+        fitsOneChain || index === 0 ? `function ${partId(index)}` : `schedule function ${partId(index)} ${index}t`
+    ));
+
+    const packFormat = PACK_FORMATS.find(([release]) => gameVersion['>='](release))[1];
+    const files = new Map();
+    files.set('pack.mcmeta', JSON.stringify({
+        pack: {
+            pack_format: packFormat,
+            description: description || `${functionName} (mc-printer)`,
+        },
+    }, null, 2));
+    files.set(`data/${space}/${folder}/${functionName}.mcfunction`, main.join('\n'));
+    parts.forEach((lines, index) => {
+        files.set(`data/${space}/${folder}/${functionName}/part_${index + 1}.mcfunction`, lines.join('\n'));
+    });
+
+    if (isZip) {
+        const zip = new AdmZip();
+        for (const [file, content] of files) {
+            zip.addFile(file, Buffer.from(`${content}\n`));
+        }
+        zip.writeZip(resolved);
+    } else {
+        for (const [file, content] of files) {
+            const destination = path.join(resolved, file);
+            fs.mkdirSync(path.dirname(destination), { recursive: true });
+            fs.writeFileSync(destination, `${content}\n`);
+        }
+    }
+
+    return {
+        file: resolved,
+        function: `${space}:${functionName}`,
+        commands: commands.length,
+        blocks: entries.length,
+        parts: parts.length,
+        scheduled: !fitsOneChain,
+    };
+}
+
+module.exports = {
+    DEFAULT_PART_SIZE,
+    writeDatapack,
+};
@@ -0,0 +1,176 @@
+const ERROR_DIFFUSION_KERNELS = {
+    'floyd-steinberg': {
+        divisor: 16,
+        weights: [
+            [1, 0, 7],
+            [-1, 1, 3], [0, 1, 5], [1, 1, 1],
+        ],
+    },
+    atkinson: {
+        // Atkinson only spreads 6/8 of the error, which keeps flat areas cleaner.
+        divisor: 8,
+        weights: [
+            [1, 0, 1], [2, 0, 1],
+            [-1, 1, 1], [0, 1, 1], [1, 1, 1],
+            [0, 2, 1],
+        ],
+    },
+    sierra: {
+        divisor: 32,
+        weights: [
+            [1, 0, 5], [2, 0, 3],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+            [-1, 2, 2], [0, 2, 3], [1, 2, 2],
+        ],
+    },
+};
+
+const BAYER_SIZES = {
+    bayer4: 4,
+    bayer8: 8,
+};
+
+const DITHER_ALIASES = {
+    off: 'none',
+    false: 'none',
+    fs: 'floyd-steinberg',
+    floyd: 'floyd-steinberg',
+    floydsteinberg: 'floyd-steinberg',
+};
+
+// How far (in RGB units) ordered dithering may push a pixel either way.
+const ORDERED_DITHER_SPREAD = 48;
+
+const DITHER_METHODS = ['none', ...Object.keys(ERROR_DIFFUSION_KERNELS), ...Object.keys(BAYER_SIZES)];
+
+function normalizeDitherMethod(value) {
+    if (value === undefined || value === null || value === false) return 'none';
+    if (value === true) {
+        throw new Error(`Dither flag requires a value (${DITHER_METHODS.join(', ')}).`);
+    }
+
+    const text = String(value).trim().toLowerCase();
+    const method = DITHER_ALIASES[text] || text;
+
+    if (!DITHER_METHODS.includes(method)) {
+        throw new Error(`Unknown dither method "${value}". Use one of: ${DITHER_METHODS.join(', ')}.`);
+    }
+
+    return method;
+}
+
+function createBayerMatrix(size) {
+    let matrix = [[0]];
+
+    while (matrix.length < size) {
+        const n = matrix.length;
+        const next = [];
+
+        for (let y = 0; y < n * 2; y++) {
+            next.push(new Array(n * 2));
+        }
+
+        for (let y = 0; y < n; y++) {
+            for (let x = 0; x < n; x++) {
+                const value = matrix[y][x] * 4;
+                next[y][x] = value;
+                next[y][x + n] = value + 2;
+                next[y + n][x] = value + 3;
+                next[y + n][x + n] = value + 1;
+            }
+        }
+
+        matrix = next;
+    }
+
+    return matrix;
+}
+
+function clampChannel(value) {
+    return value < 0 ? 0 : value > 255 ? 255 : value;
+}
+
+/*
+    `pixels` is a flat RGBA buffer (width * height * 4). `match` receives an
+    [r, g, b, alpha] colour and returns { block, color } for the chosen swatch,
+    or null for transparent pixels. Returns what `match` picked for every
+    pixel, row by row.
+*/
+function ditherPixels(pixels, width, height, method, match) {
+    const results = new Array(width * height);
+
+    if (method === 'none') {
+        for (let i = 0; i < width * height; i++) {
+            const o = i * 4;
+            results[i] = match([pixels[o], pixels[o + 1], pixels[o + 2], pixels[o + 3]]);
+        }
+        return results;
+    }
+
+    if (BAYER_SIZES[method]) {
+        const size = BAYER_SIZES[method];
+        const matrix = createBayerMatrix(size);
+        const levels = size * size;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const o = i * 4;
+                const offset = ((matrix[y % size][x % size] + 0.5) / levels - 0.5) * ORDERED_DITHER_SPREAD;
+                results[i] = match([
+                    clampChannel(pixels[o] + offset),
+                    clampChannel(pixels[o + 1] + offset),
+                    clampChannel(pixels[o + 2] + offset),
+                    pixels[o + 3],
+                ]);
+            }
+        }
+        return results;
+    }
+
+    const kernel = ERROR_DIFFUSION_KERNELS[method];
+    const buffer = Float32Array.from(pixels);
+
+    // Serpentine scanning stops the error from always drifting the same way.
+    for (let y = 0; y < height; y++) {
+        const reverse = y % 2 === 1;
+
+        for (let step = 0; step < width; step++) {
+            const x = reverse ? width - 1 - step : step;
+            const i = y * width + x;
+            const o = i * 4;
+
+            const r = clampChannel(buffer[o]);
+            const g = clampChannel(buffer[o + 1]);
+            const b = clampChannel(buffer[o + 2]);
+            const result = match([Math.round(r), Math.round(g), Math.round(b), buffer[o + 3]]);
+
+            results[i] = result;
+            if (!result) continue;
+
+            const errors = [r - result.color[0], g - result.color[1], b - result.color[2]];
+
+            for (const [dx, dy, weight] of kernel.weights) {
+                const nx = reverse ? x - dx : x + dx;
+                const ny = y + dy;
+                if (nx < 0 || nx >= width || ny >= height) continue;
+
+                const no = (ny * width + nx) * 4;
+                if (buffer[no + 3] === 0) continue;
+
+                const share = weight / kernel.divisor;
+                buffer[no] += errors[0] * share;
+                buffer[no + 1] += errors[1] * share;
+                buffer[no + 2] += errors[2] * share;
+            }
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    DITHER_METHODS,
+    normalizeDitherMethod,
+    ditherPixels,
+};
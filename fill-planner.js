@@ -0,0 +1,97 @@
+const vec3 = require('vec3');
+
+// Vanilla refuses a /fill that touches more blocks than this (the commandModificationBlockLimit gamerule).
+const DEFAULT_FILL_LIMIT = 32768;
+
+const key = (x, y, z) => `${x},${y},${z}`;
+
+/*
+    Greedily merges blocks into boxes of the same block: each box grows along
+    x first, then z, then y, as long as every block it would take in matches
+    and the volume stays within the limit. Boxes come out bottom layer first.
+
+    Entries are { position: {x, y, z}, block } in world coordinates; a later
+    entry at the same position replaces an earlier one.
+*/
+function planFills(entries, { limit = DEFAULT_FILL_LIMIT } = {}) {
+    const cells = new Map();
+
+    for (const { position, block } of entries) {
+        cells.set(key(position.x, position.y, position.z), { x: position.x, y: position.y, z: position.z, block });
+    }
+
+    const order = [...cells.values()].sort((a, b) => a.y - b.y || a.z - b.z || a.x - b.x);
+    const used = new Set();
+    const fills = [];
+
+    const matches = (x, y, z, block) => {
+        const id = key(x, y, z);
+        return !used.has(id) && cells.get(id)?.block === block;
+    };
+
+    const rowMatches = (x, y, z, dx, block) => {
+        for (let i = 0; i < dx; i++) {
+            if (!matches(x + i, y, z, block)) return false;
+        }
+        return true;
+    };
+
+    const layerMatches = (x, y, z, dx, dz, block) => {
+        for (let j = 0; j < dz; j++) {
+            if (!rowMatches(x, y, z + j, dx, block)) return false;
+        }
+        return true;
+    };
+
+    for (const { x, y, z, block } of order) {
+        if (used.has(key(x, y, z))) continue;
+
+        let dx = 1;
+        while (dx + 1 <= limit && matches(x + dx, y, z, block)) dx++;
+
+        let dz = 1;
+        while (dx * (dz + 1) <= limit && rowMatches(x, y, z + dz, dx, block)) dz++;
+
+        let dy = 1;
+        while (dx * dz * (dy + 1) <= limit && layerMatches(x, y + dy, z, dx, dz, block)) dy++;
+
+        for (let j = 0; j < dy; j++) {
+            for (let k = 0; k < dz; k++) {
+                for (let i = 0; i < dx; i++) used.add(key(x + i, y + j, z + k));
+            }
+        }
+
+        fills.push({
+            from: { x, y, z },
+            to: { x: x + dx - 1, y: y + dy - 1, z: z + dz - 1 },
+            block,
+            count: dx * dy * dz,
+        });
+    }
+
+    return fills;
+}
+
+// Single blocks stay as /setblock. With `keep`, only air is replaced.
+function formatFill({ from, to, block, count }, { keep = false } = {}) {
+    const mode = keep ? ' keep' : '';
+    if (count === 1) {
+        return `/setblock ${from.x} ${from.y} ${from.z} ${block}${mode}`;
+    }
+    return `/fill ${from.x} ${from.y} ${from.z} ${to.x} ${to.y} ${to.z} ${block}${mode}`;
+}
+
+function* fillPositions({ from, to }) {
+    for (let y = from.y; y <= to.y; y++) {
+        for (let z = from.z; z <= to.z; z++) {
+            for (let x = from.x; x <= to.x; x++) yield new vec3(x, y, z);
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_FILL_LIMIT,
+    planFills,
+    formatFill,
+    fillPositions,
+};
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const { JOB_DIRECTORY, isJobId } = require('./jobs.js');
+
+// Kept apart from the job files so "jobs clean" doesn't take the undo history with it.
+const HISTORY_DIRECTORY = path.join(JOB_DIRECTORY, 'history');
+
+function historyPath(id) {
+    if (!isJobId(id)) {
+        throw new Error(`"${id}" is not a job id.`);
+    }
+    return path.join(HISTORY_DIRECTORY, `${id}.json`);
+}
+
+function readHistory(id) {
+    const file = historyPath(id);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeHistory(record) {
+    fs.mkdirSync(HISTORY_DIRECTORY, { recursive: true });
+    fs.writeFileSync(historyPath(record.jobId), JSON.stringify(record));
+}
+
+/*
+    What a job overwrote. Each block is [x, y, z, before, after], where
+    before and after index into the palette of block states: the block that
+    was there before the job first touched the position, and the block the
+    job placed. A resumed job keeps the originals it recorded the first time.
+*/
+function openHistory(jobId, label) {
+    const record = readHistory(jobId) || {
+        jobId,
+        label,
+        createdAt: Date.now(),
+        undone: false,
+        palette: [],
+        blocks: [],
+    };
+
+    const indices = new Map(record.palette.map((state, index) => [state, index]));
+    const recorded = new Map(record.blocks.map((block, index) => [block.slice(0, 3).join(','), index]));
+
+    const stateIndex = (state) => {
+        if (!indices.has(state)) {
+            indices.set(state, record.palette.length);
+            record.palette.push(state);
+        }
+        return indices.get(state);
+    };
+
+    return {
+        record(position, before, after) {
+            const key = `${position.x},${position.y},${position.z}`;
+            const existing = recorded.get(key);
+
+            if (existing !== undefined) {
+                record.blocks[existing][4] = stateIndex(after);
+                return;
+            }
+
+            recorded.set(key, record.blocks.length);
+            record.blocks.push([position.x, position.y, position.z, stateIndex(before), stateIndex(after)]);
+        },
+        save() {
+            if (!record.blocks.length) return;
+            // Building again (a resume after an undo) puts the job's blocks back.
+            record.undone = false;
+            delete record.undoneAt;
+            writeHistory(record);
+        },
+    };
+}
+
+function loadHistory(id) {
+    const record = readHistory(id);
+    if (!record) return null;
+
+    return {
+        ...record,
+        // Blocks as { position, block } for the chosen side of the change.
+        entries(side) {
+            const column = side === 'before' ? 3 : 4;
+            return record.blocks.map((block) => ({
+                position: { x: block[0], y: block[1], z: block[2] },
+                block: record.palette[block[column]],
+            }));
+        },
+    };
+}
+
+function listHistory() {
+    if (!fs.existsSync(HISTORY_DIRECTORY)) return [];
+
+    return fs.readdirSync(HISTORY_DIRECTORY)
+        .filter((name) => name.endsWith('.json'))
+        .map((name) => {
+            try {
+                const { jobId, label, createdAt, undone, undoneAt, blocks } = JSON.parse(fs.readFileSync(path.join(HISTORY_DIRECTORY, name), 'utf8'));
+                return { jobId, label, createdAt, undone, undoneAt, count: blocks.length };
+            } catch {
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function markUndone(id, undone) {
+    const record = readHistory(id);
+    if (!record) return;
+
+    record.undone = undone;
+    record.undoneAt = undone ? Date.now() : undefined;
+    writeHistory(record);
+}
+
+module.exports = {
+    HISTORY_DIRECTORY,
+    openHistory,
+    loadHistory,
+    listHistory,
+    markUndone,
+};
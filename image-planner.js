@@ -0,0 +1,50 @@
+const { ditherPixels } = require('./dithering.js');
+
+function samplePixels(image, [width, height], frame) {
+    const isFrame = frame !== undefined && frame !== null;
+    const sourceWidth = isFrame ? image.shape[1] : image.shape[0];
+    const sourceHeight = isFrame ? image.shape[2] : image.shape[1];
+    const pixels = new Float32Array(width * height * 4);
+
+    for (let z = 0; z < height; z++) {
+        const pz = Math.floor(sourceHeight * (z / height));
+
+        for (let x = 0; x < width; x++) {
+            const px = Math.floor(sourceWidth * (x / width));
+            const o = (z * width + x) * 4;
+
+            if (isFrame) {
+                pixels[o] = image.get(frame, px, pz, 0);
+                pixels[o + 1] = image.get(frame, px, pz, 1);
+                pixels[o + 2] = image.get(frame, px, pz, 2);
+                pixels[o + 3] = image.get(frame, px, pz, 3) ?? 255;
+            } else {
+                pixels[o] = image.get(px, pz, 0);
+                pixels[o + 1] = image.get(px, pz, 1);
+                pixels[o + 2] = image.get(px, pz, 2);
+                pixels[o + 3] = image.get(px, pz, 3) ?? image.get(px, pz, 2);
+            }
+        }
+    }
+
+    return pixels;
+}
+
+/*
+    Resolves every pixel of the image (or of one GIF frame) to a block before
+    anything is placed, so dithering can see the whole picture. Blocks are
+    stored row by row: blocks[z * width + x].
+*/
+function planImage(image, size, { frame, dither = 'none', match }) {
+    const [width, height] = size;
+    const pixels = samplePixels(image, size, frame);
+    const results = ditherPixels(pixels, width, height, dither, match);
+    const blocks = results.map((result) => (result ? result.block : 'air'));
+
+    return { width, height, blocks };
+}
+
+module.exports = {
+    samplePixels,
+    planImage,
+};
@@ -7,13 +7,40 @@ const mineflayer = require('mineflayer');
 
 const actions = require('./actions.js');
 const mcColor = require('./mc-colors.js');
-const { buildModel } = require('./model-builder.js');
+const { planModel } = require('./model-builder.js');
+const { planImage } = require('./image-planner.js');
+const { DITHER_METHODS, normalizeDitherMethod } = require('./dithering.js');
+const { MODES, normalizeMode } = require('./colour-distances.js');
+const paletteStore = require('./palette-store.js');
+const { compilePalette, getSwatch } = require('./palette-compiler.js');
+const resourcePack = require('./resource-pack.js');
+const mapArt = require('./map-art.js');
+const { renderPreview } = require('./preview.js');
+const orientation = require('./orientation.js');
+const materials = require('./materials.js');
+const schematic = require('./schematic.js');
+const datapack = require('./datapack.js');
+const jobs = require('./jobs.js');
+const history = require('./history.js');
+const { createJobQueue } = require('./job-queue.js');
+const { createRepairCheck } = require('./repair.js');
+const fillPlanner = require('./fill-planner.js');
+const { DEFAULT_RATE, resolveRateLimits, createRateController } = require('./rate-controller.js');
+const verify = require('./verify.js');
+const safety = require('./safety.js');
+const chunks = require('./chunks.js');
+const animation = require('./animation.js');
+const { isReady, waitForTicks, createBotPool, shareWork } = require('./bot-pool.js');
 const { CommandManager } = require('./command-manager.js');
 
 const settings = JSON.parse(fs.readFileSync('settings.json', 'utf8'));
-const palettes = JSON.parse(fs.readFileSync('palettes.json', 'utf8'));
+const palettes = paletteStore.palettes;
 const fsp = fs.promises;
 
+// Colour helpers that work without a server connection.
+const offline = { settings };
+mcColor(offline);
+
 const COLOR = {
     cyan: '\x1b[36m%s\x1b[0m',
     purple: '\x1b[35m%s\x1b[0m',
@@ -32,10 +59,22 @@ const banner = `
 `;
 
 const MAX_LOG_ENTRIES = 200;
+const INVENTORY_PALETTE = 'inventory';
+const MAP_PALETTE = 'map';
+const DEFAULT_STORAGE_RADIUS = 16;
 const PROGRESS_SEGMENTS = 20;
 
 let bot;
 
+// Helper accounts that share builds with `bot`.
+const botPool = createBotPool();
+
+// Servers throttle repeated logins from one address, so helpers join a few seconds apart (ms).
+const HELPER_JOIN_DELAY = 5000;
+
+// Commands per tick the next connection starts at, after the last one was kicked for spam.
+let reconnectRate;
+
 const printData = {
     isPrinting: false,
     progress: 0,
@@ -45,6 +84,11 @@ const printData = {
     placedBlocks: 0,
     totalBlocks: 0,
     metadata: undefined,
+    // Steps each bot has done in the current build, by username.
+    crew: new Map(),
+    // Session totals for command mode: commands sent and the blocks they covered.
+    commandsSent: 0,
+    blocksCovered: 0,
 };
 
 const reader = readline.createInterface({
@@ -105,6 +149,7 @@ function startPrintTask(name, totalBlocks, metadata = {}) {
     printData.currentTask = name;
     printData.cancelRequested = false;
     printData.metadata = metadata;
+    printData.crew = new Map();
     updatePrintProgress(0, totalBlocks);
 }
 
@@ -123,6 +168,15 @@ function finishPrintTask({ cancelled } = {}) {
     printData.totalBlocks = 0;
 }
 
+function countStep(worker) {
+    printData.crew.set(worker.username, (printData.crew.get(worker.username) || 0) + 1);
+}
+
+function recordCommands(sent, blocks) {
+    printData.commandsSent += sent;
+    printData.blocksCovered += blocks;
+}
+
 function pushTask(taskName) {
     if (!bot) return () => {};
     if (!Array.isArray(bot.task)) bot.task = [];
@@ -222,6 +276,20 @@ async function loadImage(resource) {
     });
 }
 
+// get-pixels drops the frame delays, so the GIF is read again for them; frames it has no delay for get the browser default.
+async function loadFrameDelays(resource, frames) {
+    let delays = [];
+    try {
+        const buffer = isRemoteResource(resource)
+            ? Buffer.from(await (await fetch(resource)).arrayBuffer())
+            : await fsp.readFile(path.resolve(resource));
+        delays = animation.readFrameDelays(buffer);
+    } catch (error) {
+        addLog(`Could not read frame delays from "${resource}" (${error.message}); using ${animation.DEFAULT_DELAY} ms per frame.`, COLOR.yellow);
+    }
+    return Array.from({ length: frames }, (_, index) => delays[index] ?? animation.DEFAULT_DELAY);
+}
+
 function resolvePaletteArgument(paletteArg) {
     if (paletteArg === undefined || paletteArg === null || paletteArg === '') {
         throw new Error('Palette is required. Use "palettes" to list options.');
@@ -232,10 +300,8 @@ function resolvePaletteArgument(paletteArg) {
         throw new Error('Palette is required. Use "palettes" to list options.');
     }
 
-    const parts = text.split('+');
-    const missing = parts.filter((part) => !palettes[part]);
-    if (missing.length) {
-        throw new Error(`Unknown palette(s): ${missing.join(', ')}.`);
+    if (!paletteStore.parsePaletteExpression(text).length) {
+        throw new Error(`Palette "${text}" does not contain any blocks.`);
     }
 
     return text;
@@ -314,6 +380,18 @@ function determineBasePosition(flags = {}, botInstance = bot) {
     return basePosition;
 }
 
+// --frame counts from 1, as GIF viewers do; returns the 0-based frame index.
+function parseFrameFlag(value, frames) {
+    if (value === true) {
+        throw new Error('Frame flag requires a numeric value.');
+    }
+    const frameIndex = parsePositiveInteger(value, 'Frame') - 1;
+    if (frameIndex >= frames) {
+        throw new Error(`Frame must be between 1 and ${frames}.`);
+    }
+    return frameIndex;
+}
+
 function describeBoolean(value) {
     return value ? 'enabled' : 'disabled';
 }
@@ -397,613 +475,2782 @@ function saveSettings() {
     fs.writeFileSync('settings.json', data);
 }
 
-function registerCommands() {
-    commandManager.register({
-        name: 'help',
-        aliases: ['?'],
-        description: 'List available commands or get details for a specific command.',
-        usage: 'help [command]',
-        handler: ({ args, manager }) => {
-            if (!args.length) {
-                const commands = manager.listCommands();
-                if (!commands.length) {
-                    addLog('No commands have been registered yet.', COLOR.yellow);
-                    return;
-                }
-                addLog(`Available commands (${commands.length}): ${commands.map((cmd) => cmd.name).join(', ')}`);
-                addLog('Type "help <command>" for detailed information.');
-                return;
-            }
+function isInventoryPalette(paletteArg) {
+    return String(paletteArg ?? '').trim().toLowerCase() === INVENTORY_PALETTE;
+}
 
-            const query = String(args[0]).toLowerCase();
-            const command = manager.find(query);
-            if (!command) {
-                addLog(`Command "${query}" not found.`, COLOR.yellow);
-                return;
-            }
+/*
+    Palette entries for the blocks the bot can actually get hold of, along
+    with how many of each it has. Restricted to `paletteInput` when given.
+*/
+async function collectInventoryPalette(botInstance, paletteInput, flags = {}) {
+    if (!flags.noChests) {
+        const radius = flags.storageRadius !== undefined
+            ? parsePositiveInteger(flags.storageRadius, 'Storage radius')
+            : DEFAULT_STORAGE_RADIUS;
+        addLog(`Scanning storage within ${radius} blocks…`);
+        const storage = await actions.scanStorage(botInstance, radius);
+        addLog(`Scanned ${storage.containers.length} container(s).`);
+    }
 
-            if (command.description) {
-                addLog(`${command.name}: ${command.description}`);
-            } else {
-                addLog(`${command.name}: No description available.`);
-            }
-            if (command.aliases?.length) {
-                addLog(`Aliases: ${command.aliases.join(', ')}`);
-            }
-            if (command.usage) {
-                addLog(`Usage: ${command.usage}`);
-            }
-        },
-    });
+    const stock = actions.countStock(botInstance);
+    const candidates = paletteInput
+        ? paletteStore.parsePaletteExpression(paletteInput)
+        : [...stock.keys()].map((name) => paletteStore.findBlockEntry(name)).filter(Boolean);
 
-    commandManager.register({
-        name: 'clear',
-        description: 'Clear the console log.',
-        usage: 'clear',
-        handler: () => {
-            log.length = 0;
-            addLog('Console cleared.', COLOR.green);
-        },
+    const seen = new Set();
+    const entries = candidates.filter((entry) => {
+        if (seen.has(entry.block) || !stock.get(entry.block)) return false;
+        seen.add(entry.block);
+        return true;
     });
 
-    commandManager.register({
-        name: 'palettes',
-        description: 'List available colour palettes.',
-        usage: 'palettes',
-        handler: () => {
-            const names = Object.keys(palettes).sort();
-            if (!names.length) {
-                addLog('No palettes have been defined.', COLOR.yellow);
-                return;
-            }
+    if (!entries.length) {
+        throw new Error('None of the carried or stored items match a palette block.');
+    }
 
-            let line = `Palettes (${names.length}): `;
-            for (const name of names) {
-                if ((line + name).length > 90) {
-                    addLog(line.trim());
-                    line = '  ';
-                }
-                line += `${name}, `;
-            }
-            if (line.trim()) {
-                addLog(line.replace(/,\s*$/, ''));
-            }
-        },
-    });
+    return { entries, stock };
+}
 
-    commandManager.register({
-        name: 'chunk',
-        description: 'Get or set the number of blocks processed per tick.',
-        usage: 'chunk [size]',
-        handler: ({ args }) => {
-            if (!args.length) {
-                addLog(`Chunk size is ${settings.chunkSize}.`);
-                return;
-            }
+function listKnownBlocks(paletteInput) {
+    const entries = paletteInput
+        ? paletteStore.parsePaletteExpression(resolvePaletteArgument(paletteInput))
+        : Object.values(palettes).flat();
 
-            const value = parsePositiveInteger(args[0], 'Chunk size');
-            setSetting('chunkSize', value);
-            addLog(`Chunk size set to ${value}.`, COLOR.green);
-        },
-    });
+    return [...new Set(entries.map((entry) => entry.block))];
+}
 
-    commandManager.register({
-        name: 'color',
-        description: 'Choose whether to use average or dominant block colours.',
-        usage: 'color [average|dominant]',
-        handler: ({ args }) => {
-            if (!args.length) {
-                addLog(`Using the ${settings.color} colour of blocks.`);
-                return;
-            }
+function normalizePaletteName(name) {
+    const text = String(name ?? '').trim().toLowerCase();
+    if (!/^[a-z0-9_][a-z0-9_-]*$/.test(text)) {
+        throw new Error('Palette names may only contain letters, numbers, "_" and "-".');
+    }
+    return text;
+}
 
-            const choice = String(args[0]).toLowerCase();
-            if (!['average', 'dominant'].includes(choice)) {
-                throw new Error('Colour source must be "average" or "dominant".');
-            }
+function requirePalette(name) {
+    const info = paletteStore.describePalette(name);
+    if (!info.exists) {
+        throw new Error(`Unknown palette "${name}". Use "palettes" to list options.`);
+    }
+    return info;
+}
 
-            setSetting('color', choice);
-            addLog(`Now using the ${choice} colour of blocks.`, COLOR.green);
-        },
-    });
+// Resolves each argument as a block or a palette expression, keeping the order given.
+function collectPaletteEntries(items) {
+    const entries = [];
 
-    commandManager.register({
-        name: 'commands',
-        description: 'Toggle using /setblock commands instead of manual placement.',
-        usage: 'commands [on|off]',
-        handler: ({ args }) => {
-            if (!args.length) {
-                addLog(`Command placement is ${describeBoolean(settings.commands)}.`);
-                return;
-            }
+    for (const item of items) {
+        const text = String(item);
+        const entry = paletteStore.findBlockEntry(text);
+        entries.push(...(entry ? [entry] : paletteStore.parsePaletteExpression(text)));
+    }
 
-            const state = String(args[0]).toLowerCase();
-            if (state === 'on') {
-                setSetting('commands', true);
-                addLog('Command placement enabled.', COLOR.green);
-            } else if (state === 'off') {
-                setSetting('commands', false);
-                addLog('Command placement disabled.', COLOR.green);
-            } else {
-                throw new Error('Use "on" or "off" to control command placement.');
-            }
-        },
-    });
+    return entries;
+}
 
-    commandManager.register({
-        name: 'mode',
-        description: 'Switch colour distance calculation mode.',
-        usage: 'mode [rgb|lab]',
-        handler: ({ args }) => {
-            if (!args.length) {
-                addLog(`Colour mode is ${settings.mode}.`);
-                return;
-            }
+function createUserPalette(name, expression, flags = {}) {
+    const info = paletteStore.describePalette(name);
 
-            const choice = String(args[0]).toUpperCase();
-            if (!['RGB', 'LAB'].includes(choice)) {
-                throw new Error('Colour mode must be RGB or LAB.');
-            }
+    if (info.isUser && !flags.force) {
+        throw new Error(`Palette "${name}" already exists. Use --force to replace it.`);
+    }
+    if (info.isBuiltin && !info.isUser && !flags.force) {
+        throw new Error(`"${name}" is a built-in palette. Use --force to override it with your own.`);
+    }
 
-            setSetting('mode', choice);
-            addLog(`Colour mode set to ${choice}.`, COLOR.green);
-        },
+    const entries = expression ? paletteStore.parsePaletteExpression(resolvePaletteArgument(expression)) : [];
+    paletteStore.setUserPalette(name, entries);
+    addLog(`Created palette "${name}" with ${entries.length} block(s).`, COLOR.green);
+}
+
+function addToUserPalette(name, items) {
+    const info = requirePalette(name);
+    if (!items.length) {
+        throw new Error('Specify the blocks or palettes to add.');
+    }
+
+    const entries = [...palettes[name]];
+    const existing = new Set(entries.map((entry) => entry.block));
+    const added = collectPaletteEntries(items).filter((entry) => {
+        if (existing.has(entry.block)) return false;
+        existing.add(entry.block);
+        return true;
     });
 
-    commandManager.register({
-        name: 'settings',
-        description: 'Inspect or update persisted settings.',
-        usage: 'settings [key] [value]',
-        handler: ({ args }) => {
-            if (!args.length) {
-                for (const [key, value] of Object.entries(settings)) {
-                    addLog(`${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
-                }
-                return;
-            }
+    // Adding a block back also lifts any exclusion on it.
+    const addedBlocks = new Set(added.map((entry) => entry.block));
+    const exclude = info.exclude.filter((block) => !addedBlocks.has(block));
+    if (exclude.length !== info.exclude.length) {
+        paletteStore.setExclusions(name, exclude);
+    }
 
-            const key = String(args[0]);
-            if (!(key in settings)) {
-                throw new Error(`Unknown setting "${key}".`);
-            }
+    paletteStore.setUserPalette(name, [...entries, ...added]);
+    addLog(`Added ${added.length} block(s) to "${name}"${info.isUser ? '' : ' (saved as a user override)'}.`, COLOR.green);
+}
 
-            if (args.length === 1) {
-                const value = settings[key];
-                addLog(`${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
-                return;
-            }
+function removeFromUserPalette(name, blocks) {
+    const info = requirePalette(name);
+    if (!blocks.length) {
+        throw new Error('Specify the blocks to remove.');
+    }
 
-            const rawValue = args.slice(1).join(' ');
+    const removed = new Set(blocks.map(String));
+    const entries = palettes[name].filter((entry) => !removed.has(entry.block));
+    const count = palettes[name].length - entries.length;
 
-            switch (key) {
-                case 'chunkSize':
-                    setSetting(key, parsePositiveInteger(rawValue, 'Chunk size'));
-                    break;
-                case 'commands':
-                    if (['true', 'on', '1'].includes(rawValue.toLowerCase())) {
-                        setSetting(key, true);
-                    } else if (['false', 'off', '0'].includes(rawValue.toLowerCase())) {
-                        setSetting(key, false);
-                    } else {
-                        throw new Error('Commands must be set to on/off or true/false.');
-                    }
-                    break;
-                case 'mode':
-                    {
-                        const value = rawValue.toUpperCase();
-                        if (!['RGB', 'LAB'].includes(value)) {
-                            throw new Error('Mode must be RGB or LAB.');
-                        }
-                        setSetting(key, value);
-                    }
-                    break;
-                case 'color':
-                    {
-                        const value = rawValue.toLowerCase();
-                        if (!['average', 'dominant'].includes(value)) {
-                            throw new Error('Colour must be average or dominant.');
-                        }
-                        setSetting(key, value);
-                    }
-                    break;
-                default:
-                    throw new Error(`Setting "${key}" cannot be modified via this command.`);
-            }
+    paletteStore.setUserPalette(name, entries);
+    addLog(`Removed ${count} block(s) from "${name}"${info.isUser ? '' : ' (saved as a user override)'}.`, COLOR.green);
+}
 
-            addLog(`Setting "${key}" updated.`, COLOR.green);
-        },
-    });
+function excludeFromPalette(name, blocks) {
+    const info = requirePalette(name);
 
-    commandManager.register({
-        name: 'status',
-        description: 'Display bot and printer status information.',
-        usage: 'status',
-        handler: () => {
-            if (bot) {
-                const position = bot.entity?.position;
-                const location = position
-                    ? `${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)}`
-                    : 'Unknown';
-                addLog(`Bot: connected as ${bot.username || 'PrinterBot'} at ${location}.`, COLOR.blue);
-                if (bot.task?.length) {
-                    addLog(`Active tasks: ${bot.task.join(', ')}`);
-                } else {
-                    addLog('Active tasks: none.');
-                }
-            } else {
-                addLog('Bot is not connected.', COLOR.yellow);
-            }
+    if (!blocks.length) {
+        addLog(info.exclude.length
+            ? `Excluded from "${name}": ${info.exclude.join(', ')}.`
+            : `Nothing is excluded from "${name}".`);
+        return;
+    }
 
-            if (printData.isPrinting) {
-                const percent = formatPercentage(printData.progress);
-                let summary = `Current job: ${printData.currentTask || 'Unknown'} (${percent}`;
-                if (printData.totalBlocks) {
-                    summary += `, ${printData.placedBlocks}/${printData.totalBlocks} blocks`;
-                }
-                summary += ')';
-                addLog(summary);
+    const exclude = [...new Set([...info.exclude, ...blocks.map(String)])];
+    paletteStore.setExclusions(name, exclude);
+    addLog(`Excluding ${exclude.length} block(s) from "${name}".`, COLOR.green);
+}
 
-                if (printData.metadata?.frameCount) {
-                    addLog(`Frame ${printData.metadata.frame} of ${printData.metadata.frameCount}`);
-                }
-                if (printData.cancelRequested) {
-                    addLog('Cancellation has been requested.', COLOR.yellow);
+function showPalette(expression) {
+    const text = resolvePaletteArgument(expression);
+    const info = paletteStore.describePalette(text);
+    const entries = paletteStore.parsePaletteExpression(text);
+
+    addLog(`${text}${info.exists ? ` (${info.source})` : ''}: ${entries.length} block(s).`, COLOR.blue);
+
+    let line = '  ';
+    for (const entry of entries) {
+        if ((line + entry.block).length > 90) {
+            addLog(line.trimEnd());
+            line = '  ';
+        }
+        line += `${entry.block}, `;
+    }
+    if (line.trim()) addLog(line.replace(/,\s*$/, ''));
+
+    if (info.exclude.length) {
+        addLog(`Excluded: ${info.exclude.join(', ')}.`, COLOR.yellow);
+    }
+}
+
+function deleteUserPalette(name) {
+    const info = requirePalette(name);
+
+    if (!info.isUser && !info.exclude.length) {
+        throw new Error(`"${name}" is a built-in palette and cannot be deleted.`);
+    }
+
+    paletteStore.deleteUserPalette(name);
+    addLog(info.isBuiltin
+        ? `Removed your changes to "${name}"; the built-in palette is back.`
+        : `Deleted palette "${name}".`, COLOR.green);
+}
+
+function generatePaletteFromPack(location, flags = {}) {
+    if (!location) {
+        throw new Error('Resource pack path is required.');
+    }
+
+    const name = String(flags.name || `pack-${path.basename(location, path.extname(location))}`)
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '-');
+
+    const pack = resourcePack.openResourcePack(location);
+    const blocks = listKnownBlocks(flags.blocks);
+    const { entries, missing } = resourcePack.generatePalette(pack, blocks);
+
+    if (!entries.length) {
+        throw new Error(`None of the ${blocks.length} known blocks have textures in ${location}.`);
+    }
+
+    // Saved with the user's palettes, so a built-in name gets an override rather than a rewritten palettes.json.
+    const info = paletteStore.describePalette(name);
+    paletteStore.setUserPalette(name, entries);
+
+    const action = info.isUser ? 'Updated' : info.isBuiltin ? 'Overrode built-in' : 'Created';
+    addLog(`${action} palette "${name}" with ${entries.length} block(s) from ${pack.textures.size} texture(s).`, COLOR.green);
+    if (missing.length) {
+        addLog(`No texture found for ${missing.length} block(s): ${missing.slice(0, 8).join(', ')}${missing.length > 8 ? ', …' : ''}`, COLOR.yellow);
+    }
+}
+
+async function previewImage(args, flags) {
+    if (args.length < 1) {
+        throw new Error('Image path is required.');
+    }
+
+    const imagePath = args[0];
+    const paletteInput = resolvePaletteArgument(flags.palette ?? args[1]);
+    const texture = await loadImage(imagePath);
+    const dimensions = getImageDimensions(texture);
+    const size = parseSizeArgument(flags.size ?? args[2], dimensions);
+    const scale = flags.scale !== undefined ? parsePositiveInteger(flags.scale, 'Scale') : 4;
+    const frame = dimensions.frames > 1 ? parseFrameFlag(flags.frame ?? 1, dimensions.frames) : undefined;
+    const mode = flags.mode !== undefined ? normalizeMode(flags.mode) : undefined;
+    const out = path.resolve(String(flags.out || `${path.parse(describeResource(imagePath)).name}-preview.png`));
+
+    // Same matcher as a real build, with the chosen swatch remembered per block.
+    const swatches = new Map();
+    const matcher = createPixelMatcher(offline, paletteInput, mode);
+    const plan = planImage(texture, size, {
+        frame,
+        dither: normalizeDitherMethod(flags.dither),
+        match: (color) => {
+            const result = matcher(color);
+            if (result) swatches.set(result.block, result.color);
+            return result;
+        },
+    });
+
+    let tile;
+    if (flags.pack) {
+        const pack = resourcePack.openResourcePack(flags.pack);
+        const tiles = new Map();
+        tile = (block) => {
+            if (!tiles.has(block)) tiles.set(block, resourcePack.findBlockTexture(pack, block));
+            return tiles.get(block);
+        };
+    }
+
+    await fsp.writeFile(out, renderPreview(texture, plan, {
+        frame,
+        scale,
+        swatch: (block) => swatches.get(block),
+        texture: tile,
+    }));
+
+    const used = plan.blocks.filter((block) => block !== 'air').length;
+    addLog(`Wrote ${size[0]}x${size[1]} preview (${used} block(s), ${swatches.size} type(s)) to ${out}.`, COLOR.green);
+}
+
+async function drawCommand({ args, flags, texture: preloaded, job: resumed }) {
+    if (args.length < 1) {
+        throw new Error('Image path is required.');
+    }
+
+    const imagePath = args[0];
+    const isMapArt = Boolean(flags.map);
+    const bomOnly = Boolean(flags.bomOnly);
+    const paletteArg = flags.palette ?? args[1] ?? (isMapArt ? MAP_PALETTE : undefined);
+    const inventoryOnly = isInventoryPalette(paletteArg);
+    const sizeInput = flags.size ?? args[2] ?? (isMapArt ? `${mapArt.MAP_SIZE}x${mapArt.MAP_SIZE}` : undefined);
+    const dither = normalizeDitherMethod(flags.dither);
+    const mode = flags.mode !== undefined ? normalizeMode(flags.mode) : undefined;
+    let facing = orientation.resolveOrientation(flags, settings.orientation);
+
+    // Materials and exports only need the bot when they have to look at what the bot owns.
+    const planOnly = isPlanOnly(flags);
+    const botInstance = planOnly && !inventoryOnly && !flags.limitToInventory ? offline : ensureBotSpawned();
+
+    if (isMapArt && (inventoryOnly || flags.limitToInventory)) {
+        throw new Error('Map art cannot be limited to the inventory yet.');
+    }
+
+    if (isMapArt) {
+        // Map shading depends on the block to the north, so map art always lies flat as planned.
+        if (orientation.hasOrientationFlags(flags) && !orientation.isDefaultOrientation(facing)) {
+            throw new Error('Map art can only be built facing up without rotation or flips.');
+        }
+        facing = orientation.DEFAULT_ORIENTATION;
+    }
+
+    let paletteInput;
+    let map;
+    if (isMapArt) {
+        paletteInput = String(paletteArg).toLowerCase() === MAP_PALETTE ? MAP_PALETTE : resolvePaletteArgument(paletteArg);
+        map = {
+            flat: Boolean(flags.flat),
+            allowedBlocks: paletteInput === MAP_PALETTE ? undefined : new Set(listKnownBlocks(paletteInput)),
+        };
+    } else {
+        paletteInput = inventoryOnly ? INVENTORY_PALETTE : resolvePaletteArgument(paletteArg);
+    }
+
+    const texture = preloaded || await loadImage(imagePath);
+    const dimensions = getImageDimensions(texture);
+
+    if (dimensions.frames > 1) {
+        throw new Error('Animated images detected. Use the "gif" command.');
+    }
+
+    const size = parseSizeArgument(sizeInput, dimensions);
+    const resourceName = describeResource(imagePath);
+
+    let stock;
+    if (inventoryOnly || flags.limitToInventory) {
+        stock = await collectInventoryPalette(botInstance, inventoryOnly ? undefined : paletteInput, flags);
+        const total = stock.entries.reduce((sum, entry) => sum + stock.stock.get(entry.block), 0);
+        addLog(`Limited to ${stock.entries.length} block type(s) on hand (${total} block(s)).`);
+        if (total < size[0] * size[1]) {
+            addLog(`Only ${total} of ${size[0] * size[1]} blocks are available; the rest will be left empty.`, COLOR.yellow);
+        }
+    }
+
+    const kind = isMapArt ? `${map.flat ? 'flat ' : ''}map art` : 'image';
+
+    if (planOnly) {
+        const plan = planImageBuild(botInstance, texture, paletteInput, size, { dither, mode, stock, map });
+        const label = `${resourceName} as ${kind} (${size[0]}x${size[1]}, ${paletteInput})`;
+
+        if (bomOnly) {
+            reportMaterials(materials.countBlocks(plan.blocks), flags, label);
+        }
+        if (exportsRegion(flags)) {
+            const region = schematic.createRegion();
+            addPlanToRegion(region, plan, facing);
+            reportExports(region, flags, label, imagePath);
+        }
+        return;
+    }
+
+    let applyDefaultOffset = !flags.noOffset;
+    let basePosition = determineBasePosition(flags, botInstance);
+
+    if (isMapArt) {
+        if (flags.align) {
+            basePosition = mapArt.alignToMap(basePosition);
+            applyDefaultOffset = false;
+        }
+        if (!map.flat && !settings.commands) {
+            addLog('Staircase map art floats above the ground; survival placement needs supports or --flat.', COLOR.yellow);
+        }
+    }
+
+    const label = `${resourceName} as ${kind} (${size[0]}x${size[1]}, ${paletteInput})`;
+    const overwrite = resolveOverwrite(flags);
+
+    // Map art starts a row further north, and its staircase height is only known once planned.
+    const mapPlan = isMapArt ? planImageBuild(botInstance, texture, paletteInput, size, { dither, mode, map }) : undefined;
+    let targetStart = applyDefaultOffset ? basePosition.offset(1, 0, 1) : basePosition.clone();
+    if (isMapArt) targetStart = targetStart.offset(0, 0, -1);
+
+    const positions = planPositions(targetStart, mapPlan || imageFootprint(size), facing);
+    if (!await prepareBuildArea(botInstance, positions, flags, { label, resumed })) return;
+
+    addLog(`Drawing ${resourceName} as ${kind} (${size[0]}x${size[1]}) using palette ${paletteInput} in ${mode || settings.mode} mode, ${orientation.describeOrientation(facing)}.`, COLOR.green);
+
+    const job = resumed || startJob({
+        kind: isMapArt ? 'mapart' : 'draw',
+        label,
+        command: { name: 'draw', args, flags },
+        origin: basePosition,
+        applyDefaultOffset,
+    });
+
+    const repair = flags.repair ? createRepairCheck(botInstance) : undefined;
+    const totalBlocks = size[0] * (size[1] + (isMapArt ? 1 : 0));
+    const result = await runJob(job, totalBlocks, () => buildImage(texture, paletteInput, basePosition, size, {
+        applyDefaultOffset,
+        dither,
+        mode,
+        stock,
+        map,
+        plan: mapPlan,
+        orientation: facing,
+        overwrite,
+        job,
+        repair,
+    }));
+
+    if (repair) addLog(repair.describe());
+    reportBuildResult(result, `Image build for ${resourceName}`);
+}
+
+async function gifCommand({ args, flags, texture: preloaded, job: resumed }) {
+    if (args.length < 1) {
+        throw new Error('GIF path is required.');
+    }
+
+    const imagePath = args[0];
+    const paletteInput = resolvePaletteArgument(flags.palette ?? args[1] ?? 'new');
+    const sizeInput = flags.size ?? args[2];
+    const dither = normalizeDitherMethod(flags.dither);
+    const mode = flags.mode !== undefined ? normalizeMode(flags.mode) : undefined;
+    const facing = orientation.resolveOrientation(flags, settings.orientation);
+
+    const texture = preloaded || await loadImage(imagePath);
+    const dimensions = getImageDimensions(texture);
+
+    if (dimensions.frames <= 1) {
+        throw new Error('No animation frames detected. Use the "draw" command for static images.');
+    }
+
+    const size = parseSizeArgument(sizeInput, dimensions);
+    const resourceName = describeResource(imagePath);
+
+    let frameIndices = [...Array(dimensions.frames).keys()];
+
+    if (flags.frame !== undefined) {
+        frameIndices = [parseFrameFlag(flags.frame, dimensions.frames)];
+    } else if (flags.frames !== undefined) {
+        if (flags.frames === true) {
+            throw new Error('Frames flag requires a numeric value.');
+        }
+        const frameCount = parsePositiveInteger(flags.frames, 'Frames');
+        frameIndices = frameIndices.slice(0, frameCount);
+    }
+
+    let spacing = 1;
+    if (flags.spacing !== undefined) {
+        if (flags.spacing === true) {
+            throw new Error('Spacing flag requires a numeric value.');
+        }
+        spacing = parsePositiveInteger(flags.spacing, 'Spacing');
+    }
+
+    if (isPlanOnly(flags)) {
+        const counts = new Map();
+        const region = schematic.createRegion();
+        const label = `${frameIndices.length} frame(s) of ${resourceName} (${size[0]}x${size[1]}, ${paletteInput})`;
+
+        frameIndices.forEach((frameIndex, i) => {
+            const plan = planImageBuild(offline, texture, paletteInput, size, { frame: frameIndex, dither, mode });
+            materials.mergeCounts(counts, materials.countBlocks(plan.blocks));
+            addPlanToRegion(region, plan, facing, i * spacing);
+        });
+
+        if (flags.bomOnly) reportMaterials(counts, flags, label);
+        if (exportsRegion(flags)) reportExports(region, flags, label, imagePath);
+        return;
+    }
+
+    const botInstance = ensureBotSpawned();
+    const applyDefaultOffset = !flags.noOffset;
+    const basePosition = determineBasePosition(flags, botInstance);
+
+    const animate = Boolean(flags.animate);
+    const playback = animation.normalizePlayback(flags.playback);
+    if (animate && !settings.commands) {
+        throw new Error('Animation plays frames back with /clone, so it needs command mode (settings commands on).');
+    }
+    const delays = animate ? await loadFrameDelays(imagePath, dimensions.frames) : undefined;
+
+    // Animated frames are stored behind the display area (layer 0), away from the viewer.
+    const frameLayer = (i) => (animate ? -(i + 1) * spacing : i * spacing);
+
+    const label = `${frameIndices.length} frame(s) of ${resourceName} (${size[0]}x${size[1]}, ${paletteInput})`;
+    const overwrite = resolveOverwrite(flags);
+    const targetStart = applyDefaultOffset ? basePosition.offset(1, 0, 1) : basePosition.clone();
+    const layers = frameIndices.map((_, i) => frameLayer(i));
+    const positions = planPositions(targetStart, imageFootprint(size), facing, animate ? [0, ...layers] : layers);
+    if (!await prepareBuildArea(botInstance, positions, flags, { label, resumed })) return;
+
+    addLog(`Building ${frameIndices.length} frame(s) from ${resourceName} using palette ${paletteInput}, ${orientation.describeOrientation(facing)}.`, COLOR.green);
+
+    const job = resumed || startJob({
+        kind: 'gif',
+        label,
+        command: { name: 'gif', args, flags },
+        origin: basePosition,
+        applyDefaultOffset,
+    });
+
+    const repair = flags.repair ? createRepairCheck(botInstance) : undefined;
+    const result = await runJob(job, frameIndices.length * size[0] * size[1], async () => {
+        const failed = [];
+
+        for (let i = 0; i < frameIndices.length; i++) {
+            const frameIndex = frameIndices[i];
+            if (i < job.resumeFrom.part) continue;
+
+            // Frames stack towards the viewer: upwards for floor images, outwards for walls.
+            const frameResult = await buildGif(texture, paletteInput, basePosition, size, frameIndex, {
+                applyDefaultOffset,
+                dither,
+                mode,
+                orientation: facing,
+                layer: frameLayer(i),
+                frame: frameIndex + 1,
+                frameCount: dimensions.frames,
+                overwrite,
+                job,
+                part: i,
+                repair,
+            });
+
+            if (frameResult.cancelled) {
+                addLog(`Frame ${frameIndex + 1} cancelled.`, COLOR.yellow);
+                return frameResult;
+            }
+            failed.push(...frameResult.failed);
+        }
+        return { cancelled: false, failed };
+    });
+
+    if (repair) addLog(repair.describe());
+    reportBuildResult(result, `GIF build for ${resourceName}`);
+
+    if (animate && !result.cancelled && !result.paused) {
+        await startAnimation(botInstance, {
+            label: `${resourceName} (${frameIndices.length} frame(s))`,
+            display: planPositions(targetStart, imageFootprint(size), facing, [0]),
+            frames: layers.map((layer) => planPositions(targetStart, imageFootprint(size), facing, [layer])),
+            delays: frameIndices.map((frameIndex) => delays[frameIndex]),
+            playback,
+        });
+    }
+}
+
+async function schematicCommand({ args, flags, job: resumed }) {
+    if (args.length < 1) {
+        throw new Error('Schematic path is required.');
+    }
+
+    const file = args[0];
+    const rotate = flags.rotate !== undefined ? orientation.resolveOrientation({ rotate: flags.rotate }).rotate : 0;
+    const region = schematic.rotateRegion(await schematic.loadSchematic(file), rotate);
+    const label = `${path.basename(file)} (${region.size.join('x')})`;
+
+    if (isPlanOnly(flags)) {
+        if (flags.bomOnly) {
+            const blocks = region.entries().map(({ block }) => (
+                schematic.isAirBlock(block) ? 'air' : schematic.parseBlockState(block).name.replace(/^minecraft:/, '')
+            ));
+            reportMaterials(materials.countBlocks(blocks), flags, label);
+        }
+        if (exportsRegion(flags)) reportExports(region, flags, label, file);
+        return;
+    }
+
+    const botInstance = ensureBotSpawned();
+    const basePosition = determineBasePosition(flags, botInstance);
+    const applyDefaultOffset = !flags.noOffset;
+
+    const includeAir = Boolean(flags.includeAir);
+    const overwrite = resolveOverwrite(flags);
+    const entries = region.entries().filter(({ block }) => includeAir || !schematic.isAirBlock(block));
+
+    const targetStart = applyDefaultOffset ? basePosition.offset(1, 0, 1) : basePosition.clone();
+    const positions = entries.map(({ position: [x, y, z] }) => targetStart.offset(x, y, z).floor());
+    if (!await prepareBuildArea(botInstance, positions, flags, { label, resumed })) return;
+
+    addLog(`Building ${label}${rotate ? `, rotated ${rotate}°` : ''}.`, COLOR.green);
+
+    const job = resumed || startJob({
+        kind: 'schematic',
+        label,
+        command: { name: 'schematic', args, flags },
+        origin: basePosition,
+        applyDefaultOffset,
+    });
+
+    const repair = flags.repair ? createRepairCheck(botInstance) : undefined;
+    const result = await runJob(job, entries.length, () => buildSchematic(region, basePosition, {
+        applyDefaultOffset,
+        includeAir,
+        overwrite,
+        job,
+        repair,
+    }));
+
+    if (repair) addLog(repair.describe());
+    reportBuildResult(result, `Schematic build for ${label}`);
+}
+
+async function modelCommand({ args, flags, job: resumed }) {
+    if (args.length < 2) {
+        throw new Error('Model path and texture path are required.');
+    }
+
+    const modelPath = args[0];
+    const texturePath = args[1];
+    const sizeInput = flags.size ?? args[2];
+    const size = sizeInput ? parsePositiveInteger(sizeInput, 'Model size') : 20;
+    const buildType = flags.type || (flags.points ? 'points' : undefined);
+    const facing = orientation.resolveOrientation(flags, settings.orientation);
+
+    if (isPlanOnly(flags)) {
+        const plan = await planModel(offline, {
+            path: modelPath,
+            textureLocation: texturePath,
+            position: new vec3(0, 0, 0),
+            size,
+            orientation: facing,
+        }, buildType);
+        const label = `model ${modelPath} at size ${size}`;
+
+        if (flags.bomOnly) {
+            reportMaterials(materials.countBlocks(plan.map((entry) => entry.block)), flags, label);
+        }
+        if (exportsRegion(flags)) {
+            const region = schematic.createRegion();
+            for (const { position, block } of plan) {
+                if (block !== 'air' && block !== 'cave_air') region.set(position.x, position.y, position.z, block);
+            }
+            reportExports(region, flags, label, modelPath);
+        }
+        return;
+    }
+
+    const botInstance = ensureBotSpawned();
+    const basePosition = determineBasePosition(flags, botInstance);
+
+    const overwrite = resolveOverwrite(flags);
+    const plan = await planModel(botInstance, {
+        path: modelPath,
+        textureLocation: texturePath,
+        position: basePosition,
+        size,
+        orientation: facing,
+    }, buildType);
+
+    const label = `model ${modelPath} at size ${size}`;
+    const solid = plan.filter(({ block }) => !schematic.isAirBlock(block));
+    const positions = solid.map(({ position }) => position);
+    if (!await prepareBuildArea(botInstance, positions, flags, { label, resumed })) return;
+
+    addLog(`Building model ${modelPath} at size ${size}, ${orientation.describeOrientation(facing)}.`, COLOR.green);
+
+    // A model's origin is exactly where it goes; there is no default offset.
+    const job = resumed || startJob({
+        kind: 'model',
+        label,
+        command: { name: 'model', args, flags },
+        origin: basePosition,
+        applyDefaultOffset: false,
+    });
+
+    const repair = flags.repair ? createRepairCheck(botInstance) : undefined;
+    const result = await runJob(job, solid.length, async () => {
+        const removeTask = pushTask('model');
+        startPrintTask('Model build', solid.length);
+
+        // Models are always placed with commands, through the same region-by-region fills as other builds.
+        let built = { cancelled: false };
+        try {
+            built = await sendFills(botInstance, solid, { job, repair, overwrite, totalBlocks: solid.length });
+        } finally {
+            finishPrintTask({ cancelled: built.cancelled });
+            removeTask();
+        }
+        return built;
+    });
+
+    if (repair) addLog(repair.describe());
+    reportBuildResult(result, `Model build for ${modelPath}`);
+}
+
+// Finds the job to undo (undone = false) or redo (undone = true): the one named, or the latest.
+function findHistory(id, undone) {
+    if (id !== undefined) {
+        const record = history.loadHistory(String(id));
+        if (!record) {
+            throw new Error(`No undo history for job "${id}".`);
+        }
+        if (record.undone !== undone) {
+            throw new Error(undone ? `Job ${id} has not been undone.` : `Job ${id} is already undone; use "redo ${id}" to put it back.`);
+        }
+        return record;
+    }
+
+    const latest = history.listHistory()
+        .filter((entry) => entry.undone === undone)
+        .sort((a, b) => (undone ? b.undoneAt - a.undoneAt : b.createdAt - a.createdAt))[0];
+
+    if (!latest) {
+        throw new Error(undone ? 'Nothing to redo.' : 'Nothing to undo.');
+    }
+    return history.loadHistory(latest.jobId);
+}
+
+// Puts one side of a job's history back through the usual placement path, with progress and "stop".
+async function restoreHistory(record, side, description) {
+    const botInstance = ensureBotSpawned();
+    const removeTask = pushTask(side === 'before' ? 'undo' : 'redo');
+
+    const entries = record.entries(side).map(({ position, block }) => ({ position: [position.x, position.y, position.z], block }));
+    startPrintTask(description, entries.length);
+
+    let result = { cancelled: false };
+
+    try {
+        result = await placeBlockList(botInstance, entries, new vec3(0, 0, 0));
+    } finally {
+        finishPrintTask({ cancelled: result.cancelled });
+        removeTask();
+    }
+
+    if (result.failed?.length) reportFailures(result.failed);
+    reportBuildResult(result, description);
+    return result;
+}
+
+async function undoCommand({ args }) {
+    const record = findHistory(args[0], false);
+
+    addLog(`Undoing job ${record.jobId} (${record.label}): restoring ${record.blocks.length} block(s).`, COLOR.green);
+    const result = await restoreHistory(record, 'before', `Undo of ${record.jobId}`);
+
+    if (!result.cancelled) {
+        history.markUndone(record.jobId, true);
+        addLog(`Use "redo ${record.jobId}" to build it again.`);
+    }
+}
+
+async function redoCommand({ args }) {
+    const record = findHistory(args[0], true);
+
+    addLog(`Redoing job ${record.jobId} (${record.label}): placing ${record.blocks.length} block(s).`, COLOR.green);
+    const result = await restoreHistory(record, 'after', `Redo of ${record.jobId}`);
+
+    if (!result.cancelled) history.markUndone(record.jobId, false);
+}
+
+const JOB_COMMANDS = {
+    draw: drawCommand,
+    gif: gifCommand,
+    model: modelCommand,
+    schematic: schematicCommand,
+};
+
+// Builds that take --dry-run, by command name.
+const DRY_RUN_COMMANDS = ['draw', 'mapart', 'gif', 'model', 'schematic'];
+
+// Everything that places blocks; these wait their turn in the build queue.
+const BUILD_COMMANDS = {
+    ...JOB_COMMANDS,
+    undo: undoCommand,
+    redo: redoCommand,
+};
+
+// The job that is being built right now, if any.
+let activeJob = null;
+
+// Failed blocks listed in the console at the end of a job; the job file keeps up to MAX_RECORDED_FAILURES.
+const MAX_LISTED_FAILURES = 10;
+const MAX_RECORDED_FAILURES = 500;
+
+// Set by "pause" so the build that stops next is kept as paused rather than cancelled.
+let pauseRequested = false;
+
+// A --dry-run build waiting for "confirm" or "cancel": { label, answer }.
+let pendingConfirmation = null;
+
+// How often the dry-run corner particles are shown again (ms); they fade after about a second.
+const OUTLINE_INTERVAL = 1000;
+
+// The last animation built with "gif --animate": { label, player }. It keeps playing alongside other builds.
+let playingAnimation = null;
+
+const buildQueue = createJobQueue({
+    run: runQueueEntry,
+    onError: (error, entry) => {
+        addLog(`Build #${entry.id} (${entry.label}) failed: ${error.message}`, COLOR.red);
+        console.error(error);
+    },
+});
+
+function startJob(details) {
+    const job = jobs.createJob({ ...details, settings });
+
+    const entry = buildQueue.current;
+    if (entry) {
+        entry.jobId = job.id;
+        entry.job = job;
+        entry.label = job.data.label;
+    }
+
+    addLog(`Started job ${job.id}. Use "resume ${job.id}" if it gets interrupted.`);
+    return job;
+}
+
+async function runJob(job, totalBlocks, build) {
+    activeJob = job;
+    job.start(totalBlocks);
+
+    try {
+        const result = await build();
+        const paused = Boolean(result.cancelled && pauseRequested);
+        const failed = result.failed || [];
+
+        job.data.failures = failed.length ? failed.slice(0, MAX_RECORDED_FAILURES) : undefined;
+        if (failed.length) reportFailures(failed, job);
+
+        // Steps whose chunks never loaded are still missing, so the job isn't done until a resume places them.
+        const unplaced = failed.filter((failure) => failure.reason === chunks.NOT_LOADED).length;
+        if (unplaced && !result.cancelled) {
+            addLog(`${unplaced} block(s) were not placed because their chunks never loaded. Use "resume ${job.id}" to try them again.`, COLOR.yellow);
+        }
+
+        job.finish(
+            paused ? 'paused' : result.cancelled ? 'cancelled' : unplaced ? 'incomplete' : 'completed',
+            failed.length ? `${failed.length} block(s) failed verification` : undefined,
+        );
+        return { ...result, paused };
+    } catch (error) {
+        job.finish('failed', error.message);
+        throw error;
+    } finally {
+        activeJob = null;
+    }
+}
+
+function reportFailures(failed, job) {
+    addLog(`${failed.length} block(s) are still wrong after retrying:`, COLOR.yellow);
+    for (const failure of failed.slice(0, MAX_LISTED_FAILURES)) {
+        addLog(`  ${verify.describeFailure(failure)}`, COLOR.yellow);
+    }
+    if (failed.length > MAX_LISTED_FAILURES) {
+        const where = job ? `; see ${path.join(jobs.JOB_DIRECTORY, `${job.id}.json`)}` : '';
+        addLog(`  …and ${failed.length - MAX_LISTED_FAILURES} more${where}.`, COLOR.yellow);
+    }
+}
+
+function reportBuildResult(result, description) {
+    if (result.paused) {
+        addLog(`${description} paused.`, COLOR.yellow);
+    } else if (result.cancelled) {
+        addLog(`${description} cancelled.`, COLOR.yellow);
+    } else {
+        addLog(`${description} completed.`, COLOR.green);
+    }
+}
+
+function describeJobStatus(job) {
+    // A job still marked running that isn't ours was cut off by a crash or disconnect.
+    if (job.status === 'running' && activeJob?.id !== job.id) return 'interrupted';
+    return job.status;
+}
+
+function describeJobProgress(job) {
+    const { placed = 0, total = 0 } = job.progress || {};
+    return `${placed}/${total} (${formatPercentage(total ? placed / total : 0)})`;
+}
+
+// Puts the job's settings snapshot in place for the duration of the build.
+async function withSettings(snapshot, run) {
+    const previous = Object.fromEntries(Object.keys(snapshot).map((key) => [key, settings[key]]));
+    Object.assign(settings, snapshot);
+
+    try {
+        return await run();
+    } finally {
+        for (const [key, value] of Object.entries(previous)) {
+            if (value === undefined) delete settings[key];
+            else settings[key] = value;
+        }
+    }
+}
+
+async function runSavedJob(job) {
+    const { command, origin, applyDefaultOffset, label } = job.data;
+
+    addLog(`Resuming job ${job.id} (${label}) at ${describeJobProgress(job.data)}.`, COLOR.green);
+
+    await withSettings(job.data.settings, () => JOB_COMMANDS[command.name]({
+        args: command.args,
+        flags: {
+            ...command.flags,
+            origin: `${origin.x},${origin.y},${origin.z}`,
+            offset: undefined,
+            align: undefined,
+            noOffset: !applyDefaultOffset,
+        },
+        job,
+    }));
+}
+
+async function runQueueEntry(entry) {
+    pauseRequested = false;
+
+    try {
+        if (entry.jobId) {
+            // Reload so the checkpoint is wherever the job got to last time.
+            entry.job = jobs.loadJob(entry.jobId);
+            if (!entry.job) {
+                throw new Error(`Job ${entry.jobId} no longer exists.`);
+            }
+            await runSavedJob(entry.job);
+        } else {
+            await BUILD_COMMANDS[entry.name]({ args: entry.args, flags: entry.flags });
+        }
+    } finally {
+        pauseRequested = false;
+    }
+
+    if (entry.job?.data.status === 'paused') {
+        return { requeue: { jobId: entry.job.id } };
+    }
+    return undefined;
+}
+
+function isQueuedJob(id) {
+    return activeJob?.id === id || buildQueue.waiting.some((entry) => entry.jobId === id);
+}
+
+function reportQueued(entry) {
+    // An empty queue starts the build straight away, and the build logs for itself.
+    if (buildQueue.current === entry) return;
+
+    const position = buildQueue.waiting.indexOf(entry) + 1;
+    const note = buildQueue.paused ? ' The queue is paused; use "resume" to continue.' : '';
+    addLog(`Queued #${entry.id} (${entry.label}) at position ${position}.${note}`);
+}
+
+// Materials and exports run straight away; anything that places blocks goes through the queue.
+function runOrQueue(name, { args, flags }, label = [name, ...args].join(' ')) {
+    if (isPlanOnly(flags)) {
+        return BUILD_COMMANDS[name]({ args, flags });
+    }
+
+    ensureBotSpawned();
+    reportQueued(buildQueue.enqueue({ name, args, flags, label }));
+    return undefined;
+}
+
+function describeQueueEntry(entry) {
+    const progress = entry.job ? `  ${describeJobProgress(entry.job.data)}` : '';
+    return `#${entry.id}  ${entry.status}  ${entry.label}${progress}`;
+}
+
+function logQueue() {
+    const entries = [buildQueue.current, ...buildQueue.waiting].filter(Boolean);
+
+    if (buildQueue.paused) {
+        addLog('The queue is paused; use "resume" to continue.', COLOR.yellow);
+    }
+    if (!entries.length) {
+        addLog('The queue is empty.');
+        return;
+    }
+
+    entries.forEach((entry) => addLog(describeQueueEntry(entry)));
+}
+
+function resumeJob(id) {
+    if (!id && buildQueue.paused) {
+        buildQueue.resume();
+        addLog('Queue resumed.', COLOR.green);
+        return;
+    }
+
+    if (id && buildQueue.waiting.some((entry) => entry.jobId === id)) {
+        buildQueue.move(id, 1);
+        buildQueue.resume();
+        addLog(`Job ${id} moved to the front of the queue.`, COLOR.green);
+        return;
+    }
+    if (id && isQueuedJob(id)) {
+        throw new Error(`Job ${id} is already running.`);
+    }
+
+    const job = id
+        ? jobs.loadJob(id)
+        : jobs.listJobs()
+            .filter((data) => data.status !== 'completed' && !isQueuedJob(data.id))
+            .map((data) => jobs.loadJob(data.id))
+            .find(Boolean);
+
+    if (!job) {
+        throw new Error(id ? `No job named "${id}". Use "jobs" to list them.` : 'There are no unfinished jobs to resume.');
+    }
+    if (job.data.status === 'completed') {
+        throw new Error(`Job ${job.id} has already completed.`);
+    }
+    if (!JOB_COMMANDS[job.data.command.name]) {
+        throw new Error(`Job ${job.id} was started by an unknown command "${job.data.command.name}".`);
+    }
+
+    ensureBotSpawned();
+    reportQueued(buildQueue.enqueue({ name: job.data.command.name, label: job.data.label, jobId: job.id, job }));
+}
+
+function registerCommands() {
+    commandManager.register({
+        name: 'help',
+        aliases: ['?'],
+        description: 'List available commands or get details for a specific command.',
+        usage: 'help [command]',
+        handler: ({ args, manager }) => {
+            if (!args.length) {
+                const commands = manager.listCommands();
+                if (!commands.length) {
+                    addLog('No commands have been registered yet.', COLOR.yellow);
+                    return;
+                }
+                addLog(`Available commands (${commands.length}): ${commands.map((cmd) => cmd.name).join(', ')}`);
+                addLog('Type "help <command>" for detailed information.');
+                return;
+            }
+
+            const query = String(args[0]).toLowerCase();
+            const command = manager.find(query);
+            if (!command) {
+                addLog(`Command "${query}" not found.`, COLOR.yellow);
+                return;
+            }
+
+            if (command.description) {
+                addLog(`${command.name}: ${command.description}`);
+            } else {
+                addLog(`${command.name}: No description available.`);
+            }
+            if (command.aliases?.length) {
+                addLog(`Aliases: ${command.aliases.join(', ')}`);
+            }
+            if (command.usage) {
+                addLog(`Usage: ${command.usage}`);
+            }
+        },
+    });
+
+    commandManager.register({
+        name: 'clear',
+        description: 'Clear the console log.',
+        usage: 'clear',
+        handler: () => {
+            log.length = 0;
+            addLog('Console cleared.', COLOR.green);
+        },
+    });
+
+    commandManager.register({
+        name: 'palettes',
+        description: 'List available colour palettes.',
+        usage: 'palettes',
+        handler: () => {
+            const names = Object.keys(palettes).sort();
+            if (!names.length) {
+                addLog('No palettes have been defined.', COLOR.yellow);
+                return;
+            }
+
+            let line = `Palettes (${names.length}): `;
+            for (const name of names) {
+                const label = paletteStore.describePalette(name).isUser ? `${name}*` : name;
+                if ((line + label).length > 90) {
+                    addLog(line.trim());
+                    line = '  ';
+                }
+                line += `${label}, `;
+            }
+            if (line.trim()) {
+                addLog(line.replace(/,\s*$/, ''));
+            }
+            addLog('Combine with "+", subtract with "-" (e.g. all-glass) and drop single blocks with "!" (e.g. new!tnt). * marks your own palettes.');
+        },
+    });
+
+    commandManager.register({
+        name: 'palette',
+        description: 'Create, edit, inspect and generate palettes.',
+        usage: 'palette <create|add|remove|exclude|show|delete|generate> <name> [blocks|palettes…]',
+        handler: ({ args, flags }) => {
+            const subcommand = String(args[0] || '').toLowerCase();
+            const rest = args.slice(2);
+
+            switch (subcommand) {
+                case 'create':
+                    createUserPalette(normalizePaletteName(args[1]), rest.join(''), flags);
+                    break;
+                case 'add':
+                    addToUserPalette(normalizePaletteName(args[1]), rest);
+                    break;
+                case 'remove':
+                    removeFromUserPalette(normalizePaletteName(args[1]), rest);
+                    break;
+                case 'exclude':
+                    excludeFromPalette(normalizePaletteName(args[1]), rest);
+                    break;
+                case 'show':
+                    showPalette(args[1]);
+                    break;
+                case 'delete':
+                    deleteUserPalette(normalizePaletteName(args[1]));
+                    break;
+                case 'generate':
+                    generatePaletteFromPack(args[1], flags);
+                    break;
+                default:
+                    throw new Error('Usage: palette <create|add|remove|exclude|show|delete|generate> …');
+            }
+        },
+    });
+
+    commandManager.register({
+        name: 'inventory',
+        description: 'Scan nearby storage and list the blocks available for survival printing.',
+        usage: 'inventory [palette] [--storage-radius n] [--no-chests]',
+        handler: async ({ args, flags }) => {
+            const botInstance = ensureBotSpawned();
+            const paletteInput = args[0] ? resolvePaletteArgument(args[0]) : undefined;
+            const { entries, stock } = await collectInventoryPalette(botInstance, paletteInput, flags);
+
+            const total = entries.reduce((sum, entry) => sum + stock.get(entry.block), 0);
+            addLog(`${entries.length} usable block type(s), ${total} block(s) in total:`, COLOR.blue);
+            for (const entry of entries) {
+                addLog(`  ${entry.block}: ${stock.get(entry.block)}`);
+            }
+        },
+    });
+
+    commandManager.register({
+        name: 'chunk',
+        description: 'Get or set the number of blocks processed per tick.',
+        usage: 'chunk [size]',
+        handler: ({ args }) => {
+            if (!args.length) {
+                addLog(`Chunk size is ${settings.chunkSize}.`);
+                return;
+            }
+
+            const value = parsePositiveInteger(args[0], 'Chunk size');
+            setSetting('chunkSize', value);
+            addLog(`Chunk size set to ${value}.`, COLOR.green);
+        },
+    });
+
+    commandManager.register({
+        name: 'rate',
+        description: 'Show the command rate, or set its floor and ceiling and whether it adapts to the server.',
+        usage: 'rate | rate min <n> | rate max <n> | rate auto on|off | rate reset',
+        handler: ({ args }) => {
+            const action = String(args[0] ?? '').toLowerCase();
+
+            if (!action) {
+                if (bot?.rate) {
+                    addLog(`Rate: ${bot.rate.describe()}.`);
+                } else {
+                    const limits = resolveRateLimits(settings);
+                    addLog(`Rate: ${limits.adaptive ? `adaptive between ${limits.min} and ${limits.max}` : `fixed at chunk size ${settings.chunkSize}`} command(s) per tick.`);
+                }
+                return;
+            }
+
+            if (action === 'reset') {
+                setSetting('rate', { ...DEFAULT_RATE });
+                reconnectRate = undefined;
+                addLog(`Rate reset to adaptive between ${DEFAULT_RATE.min} and ${DEFAULT_RATE.max} command(s) per tick.`, COLOR.green);
+                return;
+            }
+
+            const limits = resolveRateLimits(settings);
+
+            if (action === 'min' || action === 'max') {
+                if (args[1] === undefined) {
+                    throw new Error(`Specify the ${action === 'min' ? 'floor' : 'ceiling'} in commands per tick.`);
+                }
+                limits[action] = parsePositiveInteger(args[1], `Rate ${action}`);
+                if (limits.min > limits.max) {
+                    throw new Error('The rate floor cannot be above the ceiling.');
+                }
+            } else if (action === 'auto') {
+                const value = String(args[1] ?? '').toLowerCase();
+                if (['true', 'on', '1'].includes(value)) {
+                    limits.adaptive = true;
+                } else if (['false', 'off', '0'].includes(value)) {
+                    limits.adaptive = false;
+                } else {
+                    throw new Error('Rate auto must be set to on/off or true/false.');
+                }
+            } else {
+                throw new Error(`Unknown rate action "${args[0]}".`);
+            }
+
+            setSetting('rate', limits);
+            addLog(`Rate ${limits.adaptive ? `adapts between ${limits.min} and ${limits.max}` : `is fixed at chunk size ${settings.chunkSize}`} command(s) per tick.`, COLOR.green);
+        },
+    });
+
+    commandManager.register({
+        name: 'color',
+        description: 'Choose whether to use average or dominant block colours.',
+        usage: 'color [average|dominant]',
+        handler: ({ args }) => {
+            if (!args.length) {
+                addLog(`Using the ${settings.color} colour of blocks.`);
+                return;
+            }
+
+            const choice = String(args[0]).toLowerCase();
+            if (!['average', 'dominant'].includes(choice)) {
+                throw new Error('Colour source must be "average" or "dominant".');
+            }
+
+            setSetting('color', choice);
+            addLog(`Now using the ${choice} colour of blocks.`, COLOR.green);
+        },
+    });
+
+    commandManager.register({
+        name: 'commands',
+        description: 'Toggle using /setblock commands instead of manual placement.',
+        usage: 'commands [on|off]',
+        handler: ({ args }) => {
+            if (!args.length) {
+                addLog(`Command placement is ${describeBoolean(settings.commands)}.`);
+                return;
+            }
+
+            const state = String(args[0]).toLowerCase();
+            if (state === 'on') {
+                setSetting('commands', true);
+                addLog('Command placement enabled.', COLOR.green);
+            } else if (state === 'off') {
+                setSetting('commands', false);
+                addLog('Command placement disabled.', COLOR.green);
+            } else {
+                throw new Error('Use "on" or "off" to control command placement.');
+            }
+        },
+    });
+
+    commandManager.register({
+        name: 'mode',
+        description: 'Switch colour distance calculation mode.',
+        usage: `mode [${MODES.map((mode) => mode.toLowerCase()).join('|')}]`,
+        handler: ({ args }) => {
+            if (!args.length) {
+                addLog(`Colour mode is ${settings.mode}. Available: ${MODES.join(', ')}.`);
+                return;
+            }
+
+            const choice = normalizeMode(args[0]);
+
+            setSetting('mode', choice);
+            addLog(`Colour mode set to ${choice}.`, COLOR.green);
+        },
+    });
+
+    commandManager.register({
+        name: 'settings',
+        description: 'Inspect or update persisted settings.',
+        usage: 'settings [key] [value]',
+        handler: ({ args }) => {
+            if (!args.length) {
+                for (const [key, value] of Object.entries(settings)) {
+                    addLog(`${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+                }
+                return;
+            }
+
+            const key = String(args[0]);
+            if (!(key in settings)) {
+                throw new Error(`Unknown setting "${key}".`);
+            }
+
+            if (args.length === 1) {
+                const value = settings[key];
+                addLog(`${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+                return;
+            }
+
+            const rawValue = args.slice(1).join(' ');
+
+            switch (key) {
+                case 'chunkSize':
+                    setSetting(key, parsePositiveInteger(rawValue, 'Chunk size'));
+                    break;
+                case 'commands':
+                    if (['true', 'on', '1'].includes(rawValue.toLowerCase())) {
+                        setSetting(key, true);
+                    } else if (['false', 'off', '0'].includes(rawValue.toLowerCase())) {
+                        setSetting(key, false);
+                    } else {
+                        throw new Error('Commands must be set to on/off or true/false.');
+                    }
+                    break;
+                case 'fillLimit':
+                    setSetting(key, parsePositiveInteger(rawValue, 'Fill limit'));
+                    break;
+                case 'verifyRetries':
+                    {
+                        const value = Number(rawValue);
+                        if (!Number.isInteger(value) || value < 0) {
+                            throw new Error('Verify retries must be zero or a positive integer.');
+                        }
+                        setSetting(key, value);
+                    }
+                    break;
+                case 'overwrite':
+                    setSetting(key, safety.normalizeOverwrite(rawValue));
+                    break;
+                case 'mode':
+                    setSetting(key, normalizeMode(rawValue));
+                    break;
+                case 'color':
+                    {
+                        const value = rawValue.toLowerCase();
+                        if (!['average', 'dominant'].includes(value)) {
+                            throw new Error('Colour must be average or dominant.');
+                        }
+                        setSetting(key, value);
+                    }
+                    break;
+                default:
+                    throw new Error(`Setting "${key}" cannot be modified via this command.`);
+            }
+
+            addLog(`Setting "${key}" updated.`, COLOR.green);
+        },
+    });
+
+    commandManager.register({
+        name: 'status',
+        description: 'Display bot and printer status information, including the build queue.',
+        usage: 'status',
+        handler: () => {
+            if (bot) {
+                const position = bot.entity?.position;
+                const location = position
+                    ? `${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)}`
+                    : 'Unknown';
+                addLog(`Bot: connected as ${bot.username || 'PrinterBot'} at ${location}.`, COLOR.blue);
+                if (bot.task?.length) {
+                    addLog(`Active tasks: ${bot.task.join(', ')}`);
+                } else {
+                    addLog('Active tasks: none.');
+                }
+            } else {
+                addLog('Bot is not connected.', COLOR.yellow);
+            }
+
+            if (printData.isPrinting) {
+                const percent = formatPercentage(printData.progress);
+                let summary = `Current job: ${printData.currentTask || 'Unknown'} (${percent}`;
+                if (printData.totalBlocks) {
+                    summary += `, ${printData.placedBlocks}/${printData.totalBlocks} blocks`;
+                }
+                summary += ')';
+                addLog(summary);
+
+                if (printData.metadata?.frameCount) {
+                    addLog(`Frame ${printData.metadata.frame} of ${printData.metadata.frameCount}`);
+                }
+                if (printData.crew.size > 1) {
+                    const shares = [...printData.crew].map(([name, steps]) => `${name} ${steps}`);
+                    addLog(`Shared by ${printData.crew.size} bots, steps done: ${shares.join(', ')}.`);
+                }
+                if (printData.cancelRequested) {
+                    addLog('Cancellation has been requested.', COLOR.yellow);
+                }
+            } else if (pendingConfirmation) {
+                addLog(`Dry run of ${pendingConfirmation.label} is waiting for "confirm" or "cancel".`, COLOR.yellow);
+            } else {
+                addLog('Printer is idle.');
+            }
+
+            if (botPool.helpers.length) {
+                logCrew();
+            }
+
+            if (bot?.rate) {
+                addLog(`Rate: ${bot.rate.describe()}.`);
+            }
+
+            if (printData.commandsSent) {
+                const saved = 1 - printData.commandsSent / printData.blocksCovered;
+                addLog(`Commands sent: ${printData.commandsSent} for ${printData.blocksCovered} block(s), ${formatPercentage(saved)} fewer than one /setblock per block.`);
+            }
+
+            if (buildQueue.paused || buildQueue.waiting.length) {
+                logQueue();
+            }
+        },
+    });
+
+    commandManager.register({
+        name: 'undo',
+        description: 'Put back the blocks a job overwrote, or list the jobs that can be undone.',
+        usage: 'undo [jobId] | undo list',
+        handler: ({ args, flags }) => {
+            if (String(args[0] ?? '').toLowerCase() !== 'list') {
+                return runOrQueue('undo', { args, flags });
+            }
+
+            const list = history.listHistory();
+            if (!list.length) {
+                addLog('No undo history recorded.');
+                return undefined;
+            }
+
+            for (const entry of list) {
+                const state = entry.undone ? 'undone' : 'built';
+                addLog(`${entry.jobId}  ${state}  ${entry.label}  ${entry.count} block(s)  ${new Date(entry.createdAt).toLocaleString()}`);
+            }
+            return undefined;
+        },
+    });
+
+    commandManager.register({
+        name: 'redo',
+        description: 'Build an undone job again.',
+        usage: 'redo [jobId]',
+        handler: ({ args, flags }) => runOrQueue('redo', { args, flags }),
+    });
+
+    commandManager.register({
+        name: 'jobs',
+        description: 'List unfinished build jobs, or delete old ones.',
+        usage: 'jobs [--all] | jobs delete <jobId> | jobs clean',
+        handler: ({ args, flags }) => {
+            const action = String(args[0] ?? '').toLowerCase();
+
+            if (action === 'delete') {
+                if (!args[1]) {
+                    throw new Error('Specify the job to delete.');
+                }
+                if (!jobs.deleteJob(String(args[1]))) {
+                    throw new Error(`No job named "${args[1]}".`);
+                }
+                addLog(`Deleted job ${args[1]}.`, COLOR.green);
+                return;
+            }
+
+            if (action === 'clean') {
+                const finished = jobs.listJobs({ all: true }).filter((job) => job.status === 'completed');
+                finished.forEach((job) => jobs.deleteJob(job.id));
+                addLog(`Deleted ${finished.length} completed job(s).`, COLOR.green);
+                return;
+            }
+
+            if (action) {
+                throw new Error(`Unknown jobs action "${args[0]}".`);
+            }
+
+            const list = jobs.listJobs({ all: Boolean(flags.all) });
+            if (!list.length) {
+                addLog(flags.all ? 'No jobs recorded.' : 'No unfinished jobs.');
+                return;
+            }
+
+            for (const job of list) {
+                const updated = new Date(job.updatedAt).toLocaleString();
+                const note = job.message ? ` - ${job.message}` : '';
+                addLog(`${job.id}  ${describeJobStatus(job)}  ${job.label}  ${describeJobProgress(job)}  ${updated}${note}`);
+            }
+        },
+    });
+
+    commandManager.register({
+        name: 'queue',
+        description: 'List, reorder or remove builds waiting in the queue.',
+        usage: 'queue [list] | queue remove <#n|jobId> | queue move <#n|jobId> <position> | queue clear',
+        handler: ({ args }) => {
+            const action = String(args[0] ?? 'list').toLowerCase();
+
+            if (action === 'list') {
+                logQueue();
+                return;
+            }
+
+            if (action === 'remove') {
+                if (args[1] === undefined) {
+                    throw new Error('Specify the queued build to remove.');
+                }
+                const entry = buildQueue.remove(args[1]);
+                if (!entry) {
+                    throw new Error(`Nothing waiting in the queue as "${args[1]}". Use "stop" for the running build.`);
+                }
+                const note = entry.jobId ? ` Job ${entry.jobId} can still be resumed later.` : '';
+                addLog(`Removed #${entry.id} (${entry.label}) from the queue.${note}`, COLOR.green);
+                return;
+            }
+
+            if (action === 'move') {
+                if (args[1] === undefined || args[2] === undefined) {
+                    throw new Error('Usage: queue move <#n|jobId> <position>.');
+                }
+                const entry = buildQueue.move(args[1], parsePositiveInteger(args[2], 'Position'));
+                if (!entry) {
+                    throw new Error(`Nothing waiting in the queue as "${args[1]}".`);
+                }
+                addLog(`Moved #${entry.id} (${entry.label}) to position ${buildQueue.waiting.indexOf(entry) + 1}.`, COLOR.green);
+                return;
+            }
+
+            if (action === 'clear') {
+                const removed = buildQueue.clear();
+                addLog(`Removed ${removed.length} queued build(s).`, COLOR.green);
+                return;
+            }
+
+            throw new Error(`Unknown queue action "${args[0]}".`);
+        },
+    });
+
+    commandManager.register({
+        name: 'pause',
+        description: 'Pause the build queue; the running build stops after the current chunk and waits to be resumed.',
+        usage: 'pause',
+        handler: () => {
+            if (buildQueue.paused) {
+                addLog('The queue is already paused.', COLOR.yellow);
+                return;
+            }
+
+            buildQueue.pause();
+
+            const entry = buildQueue.current;
+            if (!entry) {
+                addLog('Queue paused. New builds will wait until "resume".', COLOR.yellow);
+                return;
+            }
+            if (!entry.job || !printData.isPrinting) {
+                // Models are not recorded as jobs, so they cannot stop part way and pick up again.
+                addLog(`Queue paused. ${entry.label} will finish first.`, COLOR.yellow);
+                return;
+            }
+
+            pauseRequested = true;
+            printData.cancelRequested = true;
+            addLog(`Pausing ${entry.label} after the current chunk. Use "resume" to continue.`, COLOR.yellow);
+        },
+    });
+
+    commandManager.register({
+        name: 'resume',
+        description: 'Unpause the build queue, or queue an interrupted or stopped job to continue where it left off.',
+        usage: 'resume [jobId]',
+        handler: ({ args }) => resumeJob(args[0] !== undefined ? String(args[0]) : undefined),
+    });
+
+    commandManager.register({
+        name: 'stop',
+        description: 'Request cancellation of the active build; queued builds carry on.',
+        usage: 'stop',
+        handler: () => {
+            if (pendingConfirmation) {
+                answerDryRun(false);
+                return;
+            }
+            if (!printData.isPrinting) {
+                addLog('No active build to cancel.', COLOR.yellow);
+                return;
+            }
+            if (printData.cancelRequested && !pauseRequested) {
+                addLog('Cancellation already requested.', COLOR.yellow);
+                return;
+            }
+            // Stopping a build that is being paused turns the pause into a cancel.
+            printData.cancelRequested = true;
+            pauseRequested = false;
+            addLog('Cancellation requested. The bot will stop after the current chunk.', COLOR.yellow);
+        },
+    });
+
+    commandManager.register({
+        name: 'animation',
+        aliases: ['anim'],
+        description: 'Control the animation built with "gif --animate".',
+        usage: `animation [status] | animation play [${animation.PLAYBACK_MODES.join('|')}] | animation ${animation.PLAYBACK_MODES.join('|')} | animation stop`,
+        handler: ({ args }) => {
+            if (!playingAnimation) {
+                throw new Error('No animation has been built. Use "gif <image> --animate" first.');
+            }
+
+            const { label, player } = playingAnimation;
+            const action = String(args[0] ?? 'status').toLowerCase();
+
+            if (action === 'status') {
+                const { playback, index, frames, playing, shown } = player.status();
+                addLog(`${label}: ${playing ? 'playing' : 'stopped'} on frame ${index + 1}/${frames} (${playback}), ${shown} frame(s) shown.`);
+                return;
+            }
+            if (action === 'stop') {
+                player.stop();
+                addLog(`Stopped ${label} on frame ${player.status().index + 1}.`, COLOR.yellow);
+                return;
+            }
+
+            const mode = action === 'play' ? args[1] : action;
+            player.play(mode);
+            addLog(`Playing ${label} (${player.status().playback}).`, COLOR.green);
+        },
+    });
+
+    commandManager.register({
+        name: 'protect',
+        description: 'List, add or remove protected regions that builds refuse to touch.',
+        usage: 'protect [list] | protect add <name> <x,y,z> <x,y,z> [--dimension name] | protect remove <name>',
+        handler: ({ args, flags }) => {
+            const action = String(args[0] ?? 'list').toLowerCase();
+            const regions = settings.protectedRegions || [];
+
+            if (action === 'add') {
+                if (args.length < 4) {
+                    throw new Error('Usage: protect add <name> <x,y,z> <x,y,z>.');
+                }
+
+                const name = String(args[1]);
+                const base = bot?.entity?.position.floored();
+                const [from, to] = [args[2], args[3]].map((corner) => parseVectorFlag(corner, { baseVector: base, allowRelative: Boolean(base) }));
+                const region = { name, from: [from.x, from.y, from.z], to: [to.x, to.y, to.z] };
+                if (flags.dimension) region.dimension = String(flags.dimension);
+
+                setSetting('protectedRegions', [...regions.filter((entry) => entry.name !== name), region]);
+                addLog(`Protected "${name}" from ${region.from.join(' ')} to ${region.to.join(' ')}${region.dimension ? ` in ${region.dimension}` : ''}.`, COLOR.green);
+                return;
+            }
+
+            if (action === 'remove') {
+                const name = String(args[1] ?? '');
+                if (!regions.some((entry) => entry.name === name)) {
+                    throw new Error(`No protected region named "${name}".`);
+                }
+                setSetting('protectedRegions', regions.filter((entry) => entry.name !== name));
+                addLog(`Removed protected region "${name}".`, COLOR.green);
+                return;
+            }
+
+            if (action !== 'list') {
+                throw new Error(`Unknown protect action "${args[0]}".`);
+            }
+
+            if (!regions.length) {
+                addLog('No protected regions.');
+                return;
+            }
+            for (const region of regions) {
+                addLog(`${region.name}  ${region.from.join(' ')} to ${region.to.join(' ')}${region.dimension ? `  ${region.dimension}` : ''}`);
+            }
+        },
+    });
+
+    commandManager.register({
+        name: 'outline',
+        description: 'Show where a build would go and wait for "confirm" or "cancel" before placing anything.',
+        usage: 'outline <draw|mapart|gif|model|schematic> <arguments...>',
+        handler: (context) => {
+            const [name, ...args] = context.args;
+            const command = commandManager.find(String(name ?? ''));
+
+            if (!command || !DRY_RUN_COMMANDS.includes(command.name)) {
+                throw new Error(`Usage: outline <${DRY_RUN_COMMANDS.join('|')}> <arguments...>.`);
+            }
+            return command.handler({ ...context, args, flags: { ...context.flags, dryRun: true } });
+        },
+    });
+
+    commandManager.register({
+        name: 'confirm',
+        description: 'Build what the waiting dry run outlined.',
+        usage: 'confirm',
+        handler: () => answerDryRun(true),
+    });
+
+    commandManager.register({
+        name: 'cancel',
+        description: 'Drop the build the waiting dry run outlined.',
+        usage: 'cancel',
+        handler: () => answerDryRun(false),
+    });
+
+    commandManager.register({
+        name: 'crew',
+        description: 'List, add or remove helper bots that share builds with the main bot.',
+        usage: 'crew | crew add <username...> | crew remove <username...>',
+        handler: ({ args }) => {
+            const action = String(args[0] ?? '').toLowerCase();
+            const names = args.slice(1).flatMap((name) => String(name).split(',')).map((name) => name.trim()).filter(Boolean);
+
+            if (!action) {
+                logCrew();
+                return;
+            }
+
+            if (action === 'add') {
+                const botInstance = ensureBotSpawned();
+                if (!names.length) {
+                    throw new Error('Specify the username(s) to add.');
+                }
+
+                const { server, port } = settings.lastJoin;
+                names.forEach((username, i) => {
+                    setTimeout(() => joinHelper(server, port, username, { version: botInstance.version }), i * HELPER_JOIN_DELAY);
+                });
+
+                settings.lastJoin.helpers = [...new Set([...(settings.lastJoin.helpers || []), ...names])];
+                saveSettings();
+                return;
+            }
+
+            if (action === 'remove') {
+                if (!names.length) {
+                    throw new Error('Specify the username(s) to remove.');
+                }
+
+                for (const username of names) {
+                    const helper = botPool.remove(username);
+                    if (!helper) {
+                        throw new Error(`No helper named "${username}".`);
+                    }
+                    helper.quit('Removed from crew');
+                    addLog(`Helper ${username} removed.`, COLOR.green);
+                }
+
+                if (settings.lastJoin?.helpers) {
+                    settings.lastJoin.helpers = settings.lastJoin.helpers.filter((username) => !names.includes(username));
+                    saveSettings();
+                }
+                return;
+            }
+
+            throw new Error(`Unknown crew action "${args[0]}".`);
+        },
+    });
+
+    commandManager.register({
+        name: 'join',
+        description: 'Connect the bot to a Minecraft server.',
+        usage: 'join [host] [port] [--username name[,helper,...]] [--version version]',
+        handler: ({ args, flags }) => {
+            let host;
+            let port;
+
+            if (!args.length) {
+                if (settings.lastJoin?.server) {
+                    host = settings.lastJoin.server;
+                    port = settings.lastJoin.port;
+                } else {
+                    throw new Error('No previous server stored. Provide a host and port.');
+                }
+            } else if (args.length === 1) {
+                if (/^\d+$/.test(String(args[0]))) {
+                    host = 'localhost';
+                    port = args[0];
+                } else {
+                    host = args[0];
+                    port = settings.lastJoin?.port ?? 25565;
+                }
+            } else {
+                host = args[0];
+                port = args[1];
+            }
+
+            const portNumber = parsePositiveInteger(port, 'Port');
+            // Extra names after a comma join as helpers that share builds.
+            const [username, ...helpers] = String(flags.username || settings.lastJoin?.username || 'PrinterBot')
+                .split(',')
+                .map((name) => name.trim())
+                .filter(Boolean);
+            const version = flags.version || undefined;
+            const password = flags.password || undefined;
+            const auth = flags.auth || undefined;
+
+            joinServer(host, portNumber, { username, version, password, auth, helpers });
+        },
+    });
+
+    commandManager.register({
+        name: 'rejoin',
+        description: 'Reconnect to the last server.',
+        usage: 'rejoin',
+        handler: () => {
+            const lastJoin = settings.lastJoin;
+            if (!lastJoin?.server || !lastJoin?.port) {
+                throw new Error('No previous server stored.');
+            }
+            joinServer(lastJoin.server, lastJoin.port, {
+                username: lastJoin.username || 'PrinterBot',
+                helpers: lastJoin.helpers,
+            });
+        },
+    });
+
+    commandManager.register({
+        name: 'draw',
+        description: 'Build an image using the specified palette.',
+        usage: `draw <image> <palette> <width>x<height> [--size WxH] [--dither ${DITHER_METHODS.join('|')}] [--mode colourMode] [--limit-to-inventory] [--storage-radius n] [--no-chests] [--map] [--flat] [--align] [--repair] [--dry-run] [--overwrite replace|keep|air-only] [--force] [--bom-only] [--out file] [--format csv|json] [--export file.schem|file.nbt|file.litematic] [--mcfunction folder|file.zip] [--facing ${orientation.FACINGS.join('|')}] [--rotate 90|180|270] [--flip-x] [--flip-y] [--origin x,y,z] [--offset x,y,z] [--no-offset]`,
+        handler: (context) => runOrQueue('draw', context),
+    });
+
+    commandManager.register({
+        name: 'mapart',
+        description: 'Build an image as map art, matched against map colours and shaded with a height staircase.',
+        usage: `mapart <image> [palette] [size] [--flat] [--align] [--repair] [--dry-run] [--overwrite replace|keep|air-only] [--force] [--dither ${DITHER_METHODS.join('|')}] [--mode colourMode] [--origin x,y,z] [--offset x,y,z] [--no-offset]`,
+        handler: ({ args, flags }) => {
+            // The palette is optional here, so "mapart image.png 128" means a size.
+            const positional = [...args];
+            if (positional.length === 2 && /^\d+(?:x\d+)?$/i.test(String(positional[1]))) {
+                positional.splice(1, 0, MAP_PALETTE);
+            }
+            return runOrQueue('draw', { args: positional, flags: { ...flags, map: true } }, ['mapart', ...args].join(' '));
+        },
+    });
+
+    commandManager.register({
+        name: 'gif',
+        description: 'Build frames of a GIF vertically, or store them behind a display area and play them back.',
+        usage: `gif <image> [palette] [size] [--frames n] [--frame index] [--spacing n] [--animate] [--playback ${animation.PLAYBACK_MODES.join('|')}] [--dither ${DITHER_METHODS.join('|')}] [--mode colourMode] [--repair] [--dry-run] [--overwrite replace|keep|air-only] [--force] [--bom-only] [--out file] [--format csv|json] [--export file.schem|file.nbt|file.litematic] [--mcfunction folder|file.zip] [--facing ${orientation.FACINGS.join('|')}] [--rotate 90|180|270] [--flip-x] [--flip-y] [--origin x,y,z] [--offset x,y,z] [--no-offset]`,
+        handler: (context) => runOrQueue('gif', context),
+    });
+
+    commandManager.register({
+        name: 'schematic',
+        aliases: ['schem'],
+        description: 'Build a .schem, .schematic, .nbt or .litematic file.',
+        usage: 'schematic <file> [--rotate 90|180|270] [--include-air] [--repair] [--dry-run] [--overwrite replace|keep|air-only] [--force] [--bom-only] [--out file] [--format csv|json] [--export file.schem|file.nbt|file.litematic] [--mcfunction folder|file.zip] [--origin x,y,z] [--offset x,y,z] [--no-offset]',
+        handler: (context) => runOrQueue('schematic', context),
+    });
+
+    commandManager.register({
+        name: 'model',
+        description: 'Build a textured OBJ model at the bot\'s position.',
+        usage: `model <modelPath> <texturePath> [size] [--type points] [--repair] [--dry-run] [--overwrite replace|keep|air-only] [--force] [--bom-only] [--out file] [--format csv|json] [--export file.schem|file.nbt|file.litematic] [--mcfunction folder|file.zip] [--facing ${orientation.FACINGS.join('|')}] [--rotate 90|180|270] [--flip-x] [--flip-y] [--origin x,y,z] [--offset x,y,z]`,
+        handler: (context) => runOrQueue('model', context),
+    });
+
+    commandManager.register({
+        name: 'sheep',
+        description: 'Collect wool of the specified colour.',
+        usage: 'sheep <colour_wool>',
+        handler: async ({ args }) => {
+            if (!args.length) {
+                throw new Error('Specify the wool colour, e.g., sheep red_wool.');
+            }
+            const botInstance = ensureBotSpawned();
+            await actions.getWool(botInstance, args[0]);
+        },
+    });
+
+    commandManager.register({
+        name: 'materials',
+        aliases: ['bom'],
+        description: 'Count the blocks an image or GIF build will use, without building it.',
+        usage: `materials <image> <palette> <width>x<height> [--out file.csv|file.json] [--format csv|json] [--dither ${DITHER_METHODS.join('|')}] [--mode colourMode] [--map] [--flat] [--frames n] [--frame index]`,
+        handler: async ({ args, flags }) => {
+            if (args.length < 1) {
+                throw new Error('Image path is required.');
+            }
+
+            const texture = await loadImage(args[0]);
+            const command = getImageDimensions(texture).frames > 1 ? gifCommand : drawCommand;
+            await command({ args, flags: { ...flags, bomOnly: true }, texture });
+        },
+    });
+
+    commandManager.register({
+        name: 'export',
+        description: 'Write the blocks an image or GIF build would place to a schematic file or datapack, without connecting.',
+        usage: `export <image> <palette> <width>x<height> <file.schem|file.nbt|file.litematic> [--export-format schem|nbt|litematic] [--mcfunction folder|file.zip] [--namespace name] [--function-name name] [--part-size n] [--origin x,y,z] [--include-air] [--dither ${DITHER_METHODS.join('|')}] [--mode colourMode] [--map] [--flat] [--frames n] [--frame index] [--spacing n] [--facing ${orientation.FACINGS.join('|')}] [--rotate 90|180|270] [--flip-x] [--flip-y]`,
+        handler: async ({ args, flags }) => {
+            if (args.length < 4 && !exportsRegion(flags)) {
+                throw new Error('Usage: export <image> <palette> <size> <file>.');
+            }
+
+            // With --mcfunction the schematic file is optional.
+            const file = flags.export ?? args[3];
+            if (file !== undefined) schematic.resolveExportFormat(file, flags.exportFormat);
+
+            const texture = await loadImage(args[0]);
+            const command = getImageDimensions(texture).frames > 1 ? gifCommand : drawCommand;
+            await command({ args: args.slice(0, 3), flags: { ...flags, export: file }, texture });
+        },
+    });
+
+    commandManager.register({
+        name: 'preview',
+        description: 'Render what an image would look like in blocks to a PNG, without connecting.',
+        usage: `preview <image> <palette> <width>x<height> [--out file.png] [--scale n] [--pack resourcepack] [--frame n] [--dither ${DITHER_METHODS.join('|')}] [--mode colourMode]`,
+        handler: ({ args, flags }) => previewImage(args, flags),
+    });
+
+    commandManager.register({
+        name: 'matchcheck',
+        description: 'Compare compiled palette matching against the reference linear scan.',
+        usage: 'matchcheck <palette> [--samples n] [--mode colourMode]',
+        handler: ({ args, flags }) => {
+            const paletteInput = resolvePaletteArgument(flags.palette ?? args[0]);
+            const samples = flags.samples !== undefined ? parsePositiveInteger(flags.samples, 'Samples') : 10000;
+            const mode = normalizeMode(flags.mode ?? settings.mode);
+
+            let compiledTime = 0;
+            let linearTime = 0;
+            let mismatches = 0;
+
+            for (let i = 0; i < samples; i++) {
+                const color = [
+                    Math.floor(Math.random() * 256),
+                    Math.floor(Math.random() * 256),
+                    Math.floor(Math.random() * 256),
+                    255,
+                ];
+
+                let started = process.hrtime.bigint();
+                const compiled = offline.colors.getEntry(color, paletteInput, mode);
+                compiledTime += Number(process.hrtime.bigint() - started);
+
+                started = process.hrtime.bigint();
+                const linear = offline.colors.getEntryLinear(color, paletteInput, mode);
+                linearTime += Number(process.hrtime.bigint() - started);
+
+                if (compiled !== linear) {
+                    mismatches++;
+                    if (mismatches <= 5) {
+                        addLog(`Mismatch for rgb(${color.slice(0, 3).join(', ')}): ${compiled?.block} vs ${linear?.block}.`, COLOR.yellow);
+                    }
                 }
-            } else {
-                addLog('Printer is idle.');
             }
+
+            const summary = `Checked ${samples} colours against ${paletteInput} (${mode}): ${mismatches} mismatch(es). `
+                + `Compiled ${(compiledTime / 1e6).toFixed(1)}ms, linear ${(linearTime / 1e6).toFixed(1)}ms.`;
+            addLog(summary, mismatches ? COLOR.red : COLOR.green);
         },
     });
 
     commandManager.register({
-        name: 'stop',
-        description: 'Request cancellation of the active build.',
-        usage: 'stop',
-        handler: () => {
-            if (!printData.isPrinting) {
-                addLog('No active build to cancel.', COLOR.yellow);
+        name: 'rot',
+        description: 'Show or set the default orientation for draw, gif and model.',
+        usage: `rot [${orientation.FACINGS.join('|')}] [90|180|270] [--flip-x] [--flip-y] | rot reset`,
+        handler: ({ args, flags }) => {
+            if (String(args[0]).toLowerCase() === 'reset') {
+                setSetting('orientation', { ...orientation.DEFAULT_ORIENTATION });
+                addLog('Default orientation reset to facing up.', COLOR.green);
                 return;
             }
-            if (printData.cancelRequested) {
-                addLog('Cancellation already requested.', COLOR.yellow);
+
+            if (!args.length && !orientation.hasOrientationFlags(flags)) {
+                addLog(`Default orientation: ${orientation.describeOrientation(defaultOrientation())}.`);
                 return;
             }
-            printData.cancelRequested = true;
-            addLog('Cancellation requested. The bot will stop after the current chunk.', COLOR.yellow);
+
+            const next = orientation.resolveOrientation({
+                ...flags,
+                facing: flags.facing ?? args[0],
+                rotate: flags.rotate ?? args[1],
+            }, settings.orientation);
+
+            setSetting('orientation', next);
+            addLog(`Default orientation set: ${orientation.describeOrientation(next)}.`, COLOR.green);
         },
     });
+}
 
-    commandManager.register({
-        name: 'join',
-        description: 'Connect the bot to a Minecraft server.',
-        usage: 'join [host] [port] [--username name] [--version version]',
-        handler: ({ args, flags }) => {
-            let host;
-            let port;
+registerCommands();
 
-            if (!args.length) {
-                if (settings.lastJoin?.server) {
-                    host = settings.lastJoin.server;
-                    port = settings.lastJoin.port;
-                } else {
-                    throw new Error('No previous server stored. Provide a host and port.');
-                }
-            } else if (args.length === 1) {
-                if (/^\d+$/.test(String(args[0]))) {
-                    host = 'localhost';
-                    port = args[0];
-                } else {
-                    host = args[0];
-                    port = settings.lastJoin?.port ?? 25565;
-                }
-            } else {
-                host = args[0];
-                port = args[1];
-            }
+function joinServer(host = 'localhost', portNumber, options = {}) {
+    if (!portNumber) {
+        throw new Error('Port number is required to join a server.');
+    }
+
+    if (bot) {
+        addLog('Closing existing bot connection.', COLOR.yellow);
+        try {
+            bot.quit('Reconnecting');
+        } catch (error) {
+            console.error('Failed to quit existing bot cleanly.', error);
+        }
+    }
+
+    for (const { username, bot: helper } of botPool.helpers) {
+        botPool.remove(username);
+        helper.quit('Reconnecting');
+    }
+
+    addLog(`Creating bot on "${host}" at ${portNumber}.`, COLOR.green);
+
+    const helpers = options.helpers || [];
+
+    settings.lastJoin = {
+        server: host,
+        port: portNumber,
+        username: options.username || 'PrinterBot',
+    };
+    if (helpers.length) settings.lastJoin.helpers = helpers;
+    saveSettings();
+
+    bot = mineflayer.createBot({
+        host,
+        port: portNumber,
+        username: options.username || 'PrinterBot',
+        version: options.version,
+        password: options.password,
+        auth: options.auth,
+    });
+
+    bot.rate = createRateController(bot, {
+        settings,
+        initial: reconnectRate,
+        log: (text) => addLog(text, COLOR.yellow),
+    });
+
+    bot.on('kicked', (reason) => {
+        addLog(`Kicked: ${reason}`, COLOR.red);
+
+        if (bot.rate.kickedAt !== null) {
+            reconnectRate = Math.max(resolveRateLimits(settings).min, Math.floor(bot.rate.kickedAt / 2));
+            addLog(`Kicked for spam at ${bot.rate.kickedAt} command(s) per tick; the next connection starts at ${reconnectRate}.`, COLOR.yellow);
+        }
+    });
+
+    bot.on('error', (error) => {
+        addLog(`Error: ${error.message || error}`, COLOR.yellow);
+    });
+
+    const current = bot;
+    bot.on('end', () => {
+        current.ended = true;
+        addLog('Bot disconnected from server.', COLOR.yellow);
+    });
+
+    bot.on('health', () => {
+        healthBar = createBar(bot.health);
+        foodBar = createBar(bot.food);
+    });
+
+    bot.once('spawn', () => {
+        actions.init(bot);
+        bot.settings = settings;
+        bot.loadPlugin(mcColor);
+        bot.palettes = palettes;
+        bot.task = [];
+
+        addLog(`Joined server ${host}:${portNumber} as ${bot.username}.`, COLOR.green);
+        try {
+            bot.chat("I'm a happy little robot.");
+        } catch (error) {
+            console.error('Failed to send chat message:', error);
+        }
+
+        helpers.forEach((username, i) => {
+            setTimeout(() => joinHelper(host, portNumber, username, { version: bot.version, auth: options.auth }), (i + 1) * HELPER_JOIN_DELAY);
+        });
+    });
+
+    bot.on('chat', (username, message) => {
+        if (!settings.bosses.includes(username)) return;
+        runCommand(message);
+    });
+}
+
+function joinHelper(host, portNumber, username, options = {}) {
+    botPool.remove(username)?.quit('Reconnecting');
+
+    addLog(`Connecting helper ${username}.`, COLOR.green);
+
+    const helper = mineflayer.createBot({
+        host,
+        port: portNumber,
+        username,
+        version: options.version,
+        auth: options.auth,
+    });
+    botPool.add(username, helper);
+
+    helper.rate = createRateController(helper, {
+        settings,
+        log: (text) => addLog(`${username}: ${text}`, COLOR.yellow),
+    });
+
+    helper.on('kicked', (reason) => {
+        addLog(`Helper ${username} kicked: ${reason}`, COLOR.red);
+    });
+
+    helper.on('error', (error) => {
+        addLog(`Helper ${username} error: ${error.message || error}`, COLOR.yellow);
+    });
+
+    helper.on('end', () => {
+        helper.ended = true;
+        if (botPool.remove(username, helper)) {
+            addLog(`Helper ${username} disconnected; the other bots take over its share.`, COLOR.yellow);
+        }
+    });
+
+    helper.once('spawn', () => {
+        helper.settings = settings;
+        helper.task = [];
+        addLog(`Helper ${username} joined.`, COLOR.green);
+    });
+}
+
+function logCrew() {
+    const helpers = botPool.helpers;
+
+    if (!helpers.length) {
+        addLog('No helper bots. Use "crew add <username>" or "join --username main,helper".');
+        return;
+    }
+
+    for (const { username, bot: helper } of helpers) {
+        const state = isReady(helper) ? `ready, ${helper.rate.describe()}` : 'connecting';
+        addLog(`Helper ${username}: ${state}.`);
+    }
+}
+
+async function loadImageData(path) {
+    return loadImage(path);
+}
+
+function getBlock(image, x, z, palette = palettes.concrete, gif = false, t = 1) {
+    let r;
+    let g;
+    let b;
+    let alpha;
+
+    if (!gif) {
+        const px = Math.floor(image.shape[0] * x);
+        const pz = Math.floor(image.shape[1] * z);
+
+        r = image.get(px, pz, 0);
+        g = image.get(px, pz, 1);
+        b = image.get(px, pz, 2);
+        alpha = image.get(px, pz, 3) ?? image.get(px, pz, 2);
+    } else {
+        const px = Math.floor(image.shape[1] * x);
+        const pz = Math.floor(image.shape[2] * z);
+
+        r = image.get(t, px, pz, 0);
+        g = image.get(t, px, pz, 1);
+        b = image.get(t, px, pz, 2);
+        alpha = image.get(t, px, pz, 3) ?? 255;
+    }
+
+    const block = bot.colors.getBlock([r, g, b, alpha], palette);
+    return block;
+}
+
+function createPixelMatcher(botInstance, palette, mode) {
+    return (color) => {
+        const entry = botInstance.colors.getEntry(color, palette, mode);
+        return entry ? { block: entry.block, color: botInstance.colors.getSwatch(entry) } : null;
+    };
+}
+
+/*
+    Like createPixelMatcher, but every match uses up one block. Once a block
+    runs out, later pixels fall back to the next-best block still in stock.
+*/
+function createStockMatcher({ entries, stock }, mode) {
+    const compiled = compilePalette(entries, { source: settings.color, mode: mode || settings.mode });
+    const remaining = entries.map((entry) => stock.get(entry.block) || 0);
+
+    const matcher = (color) => {
+        if (color[3] === 0) return null;
+
+        const index = compiled.nearestIndex(color);
+        if (index === -1) {
+            matcher.shortfall++;
+            return null;
+        }
+
+        remaining[index]--;
+        if (remaining[index] <= 0) compiled.disable(index);
+
+        return { block: entries[index].block, color: getSwatch(entries[index], settings.color) };
+    };
+
+    matcher.shortfall = 0;
+    return matcher;
+}
+
+/*
+    Command mode for every build: same-block runs are merged into /fill boxes
+    and the rate controller decides how many go out per tick. Each command is one job
+    step, so a resumed job skips the boxes that were already sent.
+*/
+async function sendFills(botInstance, entries, { job, part = 0, repair, overwrite = 'replace', totalBlocks }) {
+    // Planned one region at a time, so no fill reaches past the chunks loaded for it.
+    const limit = settings.fillLimit ?? fillPlanner.DEFAULT_FILL_LIMIT;
+    const fills = chunks.groupByRegion(entries, ({ position }) => position).flatMap((group) => fillPlanner.planFills(group, { limit }));
+    const crew = botPool.workers(botInstance);
+    const unplaced = [];
+
+    const { cancelled } = await shareWork(fills.length, crew, async (worker, i) => {
+        const fill = fills[i];
+
+        if (job?.shouldSkip(part, i)) {
+            updatePrintProgress(printData.placedBlocks + fill.count, totalBlocks);
+            return true;
+        }
+
+        // Keeping what is there means the build's air is never placed.
+        const skipped = overwrite !== 'replace' && schematic.isAirBlock(fill.block);
+
+        const placing = skipped ? [] : [...fillPlanner.fillPositions(fill)].map((position) => ({ position, block: fill.block }));
+
+        // Recorded as missed rather than done, so a resume tries it again.
+        if (!skipped && !await loadChunks(worker, chunks.columnsOf(fill.from, fill.to))) {
+            unplaced.push(...placing);
+            updatePrintProgress(printData.placedBlocks + fill.count, totalBlocks);
+            job?.miss(part, i);
+            return true;
+        }
+
+        if (!skipped && (!repair || repair.needsFilling(fillPlanner.fillPositions(fill), fill.block))) {
+            recordOriginals(worker, job, placing, overwrite);
+            worker.chat(fillPlanner.formatFill(fill, { keep: overwrite !== 'replace' }));
+            recordCommands(1, fill.count);
+            await worker.rate.afterCommand();
+        }
+
+        countStep(worker);
+        updatePrintProgress(printData.placedBlocks + fill.count, totalBlocks);
+        job?.complete(part, i, part * totalBlocks + printData.placedBlocks);
+        return true;
+    }, { isCancelled: () => printData.cancelRequested });
+
+    await Promise.all(crew.filter(isReady).map((worker) => worker.rate.flush()));
+
+    if (cancelled) return { cancelled };
+    return { cancelled, failed: await verifyBuild(botInstance, entries, { overwrite, unplaced }) };
+}
+
+// Waits for the chunks holding `positions`, moving the bot there if needed; false if they never loaded.
+function loadChunks(botInstance, positions) {
+    return chunks.ensureLoaded(botInstance, positions, (target, until) => moveWithin(botInstance, target, until));
+}
+
+/*
+    Brings a bot close enough to `target` that its chunks load: a teleport
+    with commands, otherwise a walk until `until()`. The walk keeps to the
+    bot's own height, since the target may be high above anywhere it can
+    stand; loading only depends on how far away it is across.
+*/
+async function moveWithin(botInstance, target, until = () => false) {
+    if (settings.commands) {
+        botInstance.chat(`/tp @s ${target.x} ${target.y} ${target.z}`);
+        await botInstance.rate.afterCommand();
+        return;
+    }
+
+    const ground = new vec3(target.x, Math.floor(botInstance.entity.position.y), target.z);
+    await actions.walkToward(botInstance, ground, chunks.REGION_SIZE / 2, until);
+}
+
+// Each job's undo record, written along with the job's checkpoint so a resumed job never skips a step whose originals weren't kept.
+const jobHistories = new WeakMap();
+
+/*
+    Remembers what every position held before the job overwrites it, so
+    "undo" can put it back. Called for each step once its chunks are loaded
+    and just before it is placed; positions the bot can't see aren't placed
+    either. Under keep and air-only only air is filled, so the blocks left
+    alone aren't part of the job and "redo" mustn't replace them.
+*/
+function recordOriginals(botInstance, job, entries, overwrite = 'replace') {
+    if (!job) return;
+
+    if (!jobHistories.has(job)) {
+        const created = history.openHistory(job.id, job.data.label);
+        job.onSave(() => created.save());
+        jobHistories.set(job, created);
+    }
+    const record = jobHistories.get(job);
+
+    for (const { position, block } of entries) {
+        const current = botInstance.blockAt(position);
+        if (!current || (overwrite !== 'replace' && !safety.isAirName(current.name))) continue;
+        record.record(position, schematic.formatBlockState({ name: current.name, properties: current.getProperties() }), block);
+    }
+}
+
+// Places one block the way the current mode does, and says why it failed if it can tell.
+async function placeSingleBlock(botInstance, position, block, overwrite = 'replace') {
+    if (overwrite !== 'replace') {
+        if (schematic.isAirBlock(block)) return undefined;
+
+        const current = botInstance.blockAt(position);
+        if (current && !safety.isAirName(current.name)) return undefined;
+    }
+
+    if (settings.commands) {
+        botInstance.chat(`/setblock ${position.x} ${position.y} ${position.z} ${block}${overwrite !== 'replace' ? ' keep' : ''}`);
+        recordCommands(1, 1);
+        await botInstance.rate.afterCommand();
+        return undefined;
+    }
+
+    try {
+        if (schematic.isAirBlock(block)) {
+            await actions.clearBlock(botInstance, position);
+            return undefined;
+        }
+        // Survival placement can only pick the item; the block state is up to the game.
+        return await actions.placeBlock(botInstance, position, schematic.parseBlockState(block).name.replace(/^minecraft:/, ''));
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/*
+    Reads the build back one region at a time, loading each region's chunks
+    first, and retries what is wrong. `unplaced` are blocks the build skipped
+    because their chunks never loaded; they are reported without checking.
+*/
+async function verifyBuild(botInstance, entries, { errors, overwrite = 'replace', unplaced = [] } = {}) {
+    // If the main bot dropped out, a helper that is still connected does the checking.
+    const checker = botPool.workers(botInstance)[0] || botInstance;
+    const skipped = new Set(unplaced.map(({ position }) => verify.positionKey(position)));
+
+    // Blocks the overwrite policy left alone aren't the build's to check, so only gaps still empty count as wrong.
+    const checked = entries.filter(({ position, block }) => {
+        if (skipped.has(verify.positionKey(position))) return false;
+        if (overwrite === 'replace') return true;
+
+        const current = checker.blockAt(position);
+        return !schematic.isAirBlock(block) && (!current || safety.isAirName(current.name));
+    });
+
+    const failed = unplaced.map(({ position, block }) => ({
+        position: { x: position.x, y: position.y, z: position.z },
+        block,
+        reason: chunks.NOT_LOADED,
+    }));
+    let total = 0;
+    let fixed = 0;
+
+    for (const group of chunks.groupByRegion(checked, ({ position }) => position)) {
+        if (printData.cancelRequested) break;
+
+        await loadChunks(checker, group.map(({ position }) => position));
+
+        const result = await verify.verifyPlacements(checker, group, {
+            place: (position, block) => placeSingleBlock(checker, position, block, overwrite),
+            retries: settings.verifyRetries ?? verify.DEFAULT_RETRIES,
+            errors,
+            isCancelled: () => printData.cancelRequested,
+        });
+
+        total += result.checked;
+        fixed += result.fixed;
+        failed.push(...result.failed);
+    }
+
+    if (fixed || failed.length) {
+        const note = failed.length ? `, ${failed.length} still wrong` : '';
+        addLog(`Verified ${total} block(s): ${fixed} fixed on retry${note}.`, failed.length ? COLOR.yellow : '');
+    }
+
+    return failed;
+}
+
+/*
+    `facing` is a resolved orientation (see orientation.js); `layer` pushes the
+    whole image towards the viewer, e.g. for stacked GIF frames. In survival
+    each row segment of a chunk is one job step, and in command mode each
+    /fill box (see sendFills), so a resumed job (see jobs.js) skips the steps
+    it already placed.
+*/
+async function placeImagePlan(botInstance, plan, targetStart, { facing = orientation.DEFAULT_ORIENTATION, layer = 0, job, part = 0, repair, overwrite } = {}) {
+    const { width, height, blocks, heights } = plan;
+    const totalBlocks = width * height;
+    const orient = orientation.createOrientation(facing, width, height);
+
+    const entries = blocks.map((block, index) => {
+        const offset = orient(index % width, Math.floor(index / width), layer + (heights ? heights[index] : 0));
+        return { position: targetStart.offset(offset.x, offset.y, offset.z).floor(), block: block || 'air' };
+    });
+
+    if (settings.commands) {
+        return sendFills(botInstance, entries, { job, part, repair, overwrite, totalBlocks });
+    }
+
+    // Row segments in serpentine order; with several bots each takes a stripe of them.
+    const rows = [];
+    let zDirection = 1;
+    let z = 0;
+
+    for (let x = 0; x < width; x += settings.chunkSize) {
+        const length = Math.min(settings.chunkSize, width - x);
+
+        while (z >= 0 && z < height) {
+            rows.push({ x, z, length });
+            z += zDirection;
+        }
+
+        zDirection = -zDirection;
+        z += zDirection;
+    }
+
+    // Finishing one region of the world before the next keeps the bots within loaded chunks.
+    const segments = chunks.orderByRegion(rows, (segment) => entries[segment.z * width + segment.x].position);
+
+    const errors = new Map();
+    const unplaced = [];
+
+    const { cancelled } = await shareWork(segments.length, botPool.workers(botInstance), async (worker, step) => {
+        const { x, z: row, length } = segments[step];
+
+        if (job?.shouldSkip(part, step)) {
+            updatePrintProgress(printData.placedBlocks + length, totalBlocks);
+            return true;
+        }
+
+        const segment = entries.slice(row * width + x, row * width + x + length);
+        if (!await loadChunks(worker, segment.map(({ position }) => position))) {
+            // Recorded as missed rather than done, so a resume tries it again.
+            unplaced.push(...segment);
+            updatePrintProgress(printData.placedBlocks + length, totalBlocks);
+            job?.miss(part, step);
+            return true;
+        }
+        recordOriginals(worker, job, segment, overwrite);
 
-            const portNumber = parsePositiveInteger(port, 'Port');
-            const username = flags.username || settings.lastJoin?.username || 'PrinterBot';
-            const version = flags.version || undefined;
-            const password = flags.password || undefined;
-            const auth = flags.auth || undefined;
+        let placedInSegment = 0;
 
-            joinServer(host, portNumber, { username, version, password, auth });
-        },
-    });
+        for (let xx = 0; xx < length; xx++) {
+            if (printData.cancelRequested) return false;
 
-    commandManager.register({
-        name: 'rejoin',
-        description: 'Reconnect to the last server.',
-        usage: 'rejoin',
-        handler: () => {
-            const lastJoin = settings.lastJoin;
-            if (!lastJoin?.server || !lastJoin?.port) {
-                throw new Error('No previous server stored.');
+            const { position, block } = segment[xx];
+
+            if (repair && !repair.needsPlacing(position, block)) {
+                updatePrintProgress(printData.placedBlocks + 1, totalBlocks);
+                continue;
             }
-            joinServer(lastJoin.server, lastJoin.port, {
-                username: lastJoin.username || 'PrinterBot',
-            });
-        },
-    });
 
-    commandManager.register({
-        name: 'draw',
-        description: 'Build an image using the specified palette.',
-        usage: 'draw <image> <palette> <width>x<height> [--size WxH] [--origin x,y,z] [--offset x,y,z] [--no-offset]',
-        handler: async ({ args, flags }) => {
-            const botInstance = ensureBotSpawned();
+            placedInSegment++;
 
-            if (args.length < 1) {
-                throw new Error('Image path is required.');
-            }
+            const error = await placeSingleBlock(worker, position, block, overwrite);
+            if (error) errors.set(verify.positionKey(position), error);
 
-            const imagePath = args[0];
-            const paletteInput = resolvePaletteArgument(flags.palette ?? args[1]);
-            const sizeInput = flags.size ?? args[2];
-            const applyDefaultOffset = !flags.noOffset;
-            const basePosition = determineBasePosition(flags, botInstance);
+            updatePrintProgress(printData.placedBlocks + 1, totalBlocks);
+        }
 
-            const texture = await loadImage(imagePath);
-            const dimensions = getImageDimensions(texture);
+        countStep(worker);
+        job?.complete(part, step, part * totalBlocks + printData.placedBlocks);
 
-            if (dimensions.frames > 1) {
-                throw new Error('Animated images detected. Use the "gif" command.');
-            }
+        if (placedInSegment) await waitForTicks(worker, 1);
+        return true;
+    }, { isCancelled: () => printData.cancelRequested });
 
-            const size = parseSizeArgument(sizeInput, dimensions);
-            const resourceName = describeResource(imagePath);
+    if (cancelled) return { cancelled };
+    return { cancelled, failed: await verifyBuild(botInstance, entries, { errors, overwrite, unplaced }) };
+}
 
-            addLog(`Drawing ${resourceName} (${size[0]}x${size[1]}) using palette ${paletteInput}.`, COLOR.green);
+/*
+    Everything a build decides before placing anything. `materials` and
+    --bom-only count the same plan, so their numbers match the real build.
+*/
+function planImageBuild(botInstance, texture, palette, size, options = {}) {
+    if (options.map) {
+        return mapArt.planMapArt(texture, size, {
+            frame: options.frame,
+            dither: options.dither,
+            mode: options.mode || settings.mode,
+            ...options.map,
+        });
+    }
 
-            const result = await buildImage(texture, paletteInput, basePosition, size, {
-                applyDefaultOffset,
-            });
+    const match = options.stock
+        ? createStockMatcher(options.stock, options.mode)
+        : createPixelMatcher(botInstance, palette, options.mode);
 
-            if (result.cancelled) {
-                addLog(`Image build for ${resourceName} cancelled.`, COLOR.yellow);
-            } else {
-                addLog(`Image build for ${resourceName} completed.`, COLOR.green);
-            }
-        },
+    const plan = planImage(texture, size, {
+        frame: options.frame,
+        dither: options.dither,
+        match,
     });
 
-    commandManager.register({
-        name: 'gif',
-        description: 'Build frames of a GIF vertically.',
-        usage: 'gif <image> [palette] [size] [--frames n] [--frame index] [--spacing n] [--origin x,y,z] [--offset x,y,z] [--no-offset]',
-        handler: async ({ args, flags }) => {
-            const botInstance = ensureBotSpawned();
+    if (match.shortfall) {
+        addLog(`Ran out of blocks for ${match.shortfall} pixel(s); they will be left empty.`, COLOR.yellow);
+    }
 
-            if (args.length < 1) {
-                throw new Error('GIF path is required.');
-            }
+    return plan;
+}
 
-            const imagePath = args[0];
-            const paletteInput = resolvePaletteArgument(flags.palette ?? args[1] ?? 'new');
-            const sizeInput = flags.size ?? args[2];
-            const applyDefaultOffset = !flags.noOffset;
-            const basePosition = determineBasePosition(flags, botInstance);
+function reportMaterials(counts, flags, label) {
+    const bom = materials.createBillOfMaterials(counts, bot?.version);
 
-            const texture = await loadImage(imagePath);
-            const dimensions = getImageDimensions(texture);
+    addLog(`Materials for ${label}:`, COLOR.green);
+    for (const row of bom.rows) {
+        addLog(`  ${materials.describeRow(row)}`);
+    }
+    addLog(`Total: ${bom.total.blocks} block(s) of ${bom.total.types} type(s), ${bom.total.slots} inventory slot(s), ${bom.total.shulkerBoxes} shulker box(es).`, COLOR.green);
 
-            if (dimensions.frames <= 1) {
-                throw new Error('No animation frames detected. Use the "draw" command for static images.');
-            }
+    if (flags.out || flags.format) {
+        const file = flags.out ? String(flags.out) : `materials.${String(flags.format).toLowerCase()}`;
+        const written = materials.exportBillOfMaterials(bom, file, flags.format);
+        addLog(`Materials written to ${written}.`, COLOR.green);
+    }
 
-            const size = parseSizeArgument(sizeInput, dimensions);
-            const resourceName = describeResource(imagePath);
+    return bom;
+}
 
-            let frameIndices = [...Array(dimensions.frames).keys()];
+// Same offsets as placeImagePlan, so an export matches what would be printed.
+function addPlanToRegion(region, plan, facing = orientation.DEFAULT_ORIENTATION, layer = 0) {
+    const { width, height, blocks, heights } = plan;
+    const orient = orientation.createOrientation(facing, width, height);
 
-            if (flags.frame !== undefined) {
-                if (flags.frame === true) {
-                    throw new Error('Frame flag requires a numeric value.');
-                }
-                const frameIndex = parsePositiveInteger(flags.frame, 'Frame') - 1;
-                if (frameIndex < 0 || frameIndex >= dimensions.frames) {
-                    throw new Error(`Frame must be between 1 and ${dimensions.frames}.`);
-                }
-                frameIndices = [frameIndex];
-            } else if (flags.frames !== undefined) {
-                if (flags.frames === true) {
-                    throw new Error('Frames flag requires a numeric value.');
-                }
-                const frameCount = parsePositiveInteger(flags.frames, 'Frames');
-                frameIndices = frameIndices.slice(0, frameCount);
-            }
+    for (let z = 0; z < height; z++) {
+        for (let x = 0; x < width; x++) {
+            const index = z * width + x;
+            const offset = orient(x, z, layer + (heights ? heights[index] : 0));
+            region.set(offset.x, offset.y, offset.z, blocks[index] || 'air');
+        }
+    }
 
-            let spacing = 1;
-            if (flags.spacing !== undefined) {
-                if (flags.spacing === true) {
-                    throw new Error('Spacing flag requires a numeric value.');
-                }
-                spacing = parsePositiveInteger(flags.spacing, 'Spacing');
-            }
+    return region;
+}
 
-            addLog(`Building ${frameIndices.length} frame(s) from ${resourceName} using palette ${paletteInput}.`, COLOR.green);
+// Without map art heights, the size alone says where an image plan lands.
+function imageFootprint(size) {
+    return { width: size[0], height: size[1], blocks: [] };
+}
 
-            for (let i = 0; i < frameIndices.length; i++) {
-                const frameIndex = frameIndices[i];
-                const framePosition = basePosition.offset(0, i * spacing, 0);
+// World positions an image plan covers from targetStart, laid out as placeImagePlan does; one entry in `layers` per stacked frame.
+function planPositions(targetStart, plan, facing, layers = [0]) {
+    const region = schematic.createRegion();
+    for (const layer of layers) addPlanToRegion(region, plan, facing, layer);
 
-                const result = await buildGif(texture, paletteInput, framePosition, size, frameIndex, {
-                    applyDefaultOffset,
-                    frame: frameIndex + 1,
-                    frameCount: dimensions.frames,
-                });
+    const { min } = region.bounds;
+    return region.entries().map(({ position: [x, y, z] }) => targetStart.offset(min[0] + x, min[1] + y, min[2] + z).floor());
+}
 
-                if (result.cancelled) {
-                    addLog(`Frame ${frameIndex + 1} cancelled.`, COLOR.yellow);
-                    return;
-                }
+function describeBox({ min, max }) {
+    const size = max.minus(min).offset(1, 1, 1);
+    return `from ${min.x} ${min.y} ${min.z} to ${max.x} ${max.y} ${max.z} (${size.x}x${size.y}x${size.z}, ${size.x * size.y * size.z} block(s))`;
+}
+
+// A particle on each of the box's eight outer corners.
+async function showOutline(botInstance, { min, max }) {
+    for (const x of [min.x, max.x + 1]) {
+        for (const y of [min.y, max.y + 1]) {
+            for (const z of [min.z, max.z + 1]) {
+                botInstance.chat(`/particle minecraft:end_rod ${x} ${y} ${z} 0 0 0 0 1 force`);
+                await botInstance.rate.afterCommand();
             }
+        }
+    }
+}
 
-            addLog(`GIF build for ${resourceName} completed.`, COLOR.green);
-        },
-    });
+/*
+    --dry-run: logs where the build would go, marks the corners in-world
+    while commands are allowed, and waits for "confirm" (true) or "cancel"
+    (false) before anything is placed.
+*/
+async function confirmOutline(botInstance, box, label) {
+    addLog(`Dry run for ${label}: ${describeBox(box)}.`, COLOR.green);
+    if (!settings.commands) {
+        addLog('Corner particles need command mode; check the coordinates above.', COLOR.yellow);
+    }
+    addLog('Type "confirm" to build it or "cancel" to drop it.');
 
-    commandManager.register({
-        name: 'model',
-        description: 'Build a textured OBJ model at the bot\'s position.',
-        usage: 'model <modelPath> <texturePath> [size] [--type points] [--origin x,y,z] [--offset x,y,z]',
-        handler: async ({ args, flags }) => {
-            const botInstance = ensureBotSpawned();
+    const pending = { label, answer: null };
+    pendingConfirmation = pending;
+    let shownAt = 0;
 
-            if (args.length < 2) {
-                throw new Error('Model path and texture path are required.');
+    try {
+        while (pending.answer === null) {
+            if (!isReady(botInstance)) {
+                throw new Error('The bot disconnected while waiting for confirmation.');
+            }
+            if (settings.commands && Date.now() - shownAt >= OUTLINE_INTERVAL) {
+                shownAt = Date.now();
+                await showOutline(botInstance, box);
             }
+            await new Promise((resolve) => setTimeout(resolve, 100));
+        }
+    } finally {
+        if (pendingConfirmation === pending) pendingConfirmation = null;
+    }
 
-            const modelPath = args[0];
-            const texturePath = args[1];
-            const sizeInput = flags.size ?? args[2];
-            const size = sizeInput ? parsePositiveInteger(sizeInput, 'Model size') : 20;
-            const buildType = flags.type || (flags.points ? 'points' : undefined);
-            const basePosition = determineBasePosition(flags, botInstance);
+    return pending.answer;
+}
 
-            addLog(`Building model ${modelPath} at size ${size}.`, COLOR.green);
+function answerDryRun(answer) {
+    if (!pendingConfirmation) {
+        throw new Error('No dry run is waiting for an answer.');
+    }
 
-            await buildModel(botInstance, {
-                path: modelPath,
-                textureLocation: texturePath,
-                position: basePosition,
-                size,
-            }, buildType);
+    pendingConfirmation.answer = answer;
+    if (answer) {
+        addLog(`Confirmed ${pendingConfirmation.label}.`, COLOR.green);
+    } else {
+        addLog(`Dropped ${pendingConfirmation.label}; nothing was placed.`, COLOR.yellow);
+    }
+}
 
-            addLog('Model build completed.', COLOR.green);
-        },
-    });
+/*
+    Plays stored GIF frames on their display area with /clone, replacing the
+    animation that was playing before. Every chunk involved has to be loaded
+    for /clone to work, so the bot waits for them first.
+*/
+async function startAnimation(botInstance, { label, display, frames, delays, playback }) {
+    playingAnimation?.player.stop();
+    playingAnimation = null;
+
+    const { min, max } = safety.boundsOf([...display, ...frames.flat()]);
+    if (!await loadChunks(botInstance, chunks.columnsOf(min, max))) {
+        throw new Error(`The chunks holding ${label} did not load, so it can't be played.`);
+    }
 
-    commandManager.register({
-        name: 'sheep',
-        description: 'Collect wool of the specified colour.',
-        usage: 'sheep <colour_wool>',
-        handler: async ({ args }) => {
-            if (!args.length) {
-                throw new Error('Specify the wool colour, e.g., sheep red_wool.');
+    const player = animation.createPlayer({
+        frames,
+        display,
+        delays,
+        playback,
+        send: async (command) => {
+            if (!isReady(botInstance)) throw new Error('The bot disconnected.');
+            botInstance.chat(command);
+            await botInstance.rate.afterCommand();
+        },
+        onEnd: (state, error) => {
+            if (error) {
+                addLog(`Animation ${label} stopped: ${error.message}`, COLOR.red);
+            } else {
+                addLog(`Animation ${label} finished on frame ${state.index + 1}.`);
             }
-            const botInstance = ensureBotSpawned();
-            await actions.getWool(botInstance, args[0]);
         },
     });
 
-    commandManager.register({
-        name: 'rot',
-        description: 'Placeholder rotation command.',
-        usage: 'rot',
-        handler: () => {
-            addLog('Rotation command not yet implemented.', COLOR.yellow);
-        },
-    });
+    playingAnimation = { label, player };
+    player.play();
+    addLog(`Playing ${label} (${playback}). Use "animation stop", "animation loop" or "animation ping-pong" to control it.`, COLOR.green);
 }
 
-registerCommands();
+function resolveOverwrite(flags) {
+    return safety.normalizeOverwrite(flags.overwrite ?? settings.overwrite);
+}
 
-function joinServer(host = 'localhost', portNumber, options = {}) {
-    if (!portNumber) {
-        throw new Error('Port number is required to join a server.');
+// Pre-flight checks, then the dry run if one was asked for; false when the build should not go ahead.
+async function prepareBuildArea(botInstance, positions, flags, { label, resumed }) {
+    if (!positions.length) {
+        throw new Error('Nothing to build: the build has no blocks.');
     }
 
-    if (bot) {
-        addLog('Closing existing bot connection.', COLOR.yellow);
-        try {
-            bot.quit('Reconnecting');
-        } catch (error) {
-            console.error('Failed to quit existing bot cleanly.', error);
-        }
+    const { box, warnings } = await safety.checkBuildArea(botInstance, positions, {
+        overwrite: resolveOverwrite(flags),
+        protectedRegions: settings.protectedRegions,
+        contents: !resumed,
+        force: Boolean(flags.force),
+        load: (columns) => loadChunks(botInstance, columns),
+    });
+
+    for (const warning of warnings) {
+        addLog(warning, COLOR.yellow);
     }
 
-    addLog(`Creating bot on "${host}" at ${portNumber}.`, COLOR.green);
+    if (flags.dryRun && !resumed) return confirmOutline(botInstance, box, label);
+    return true;
+}
 
-    settings.lastJoin = {
-        server: host,
-        port: portNumber,
-        username: options.username || 'PrinterBot',
-    };
-    saveSettings();
+// Materials and file exports only plan the build; nothing is placed.
+function isPlanOnly(flags) {
+    return Boolean(flags.bomOnly) || exportsRegion(flags);
+}
 
-    bot = mineflayer.createBot({
-        host,
-        port: portNumber,
-        username: options.username || 'PrinterBot',
-        version: options.version,
-        password: options.password,
-        auth: options.auth,
-    });
+function exportsRegion(flags) {
+    return flags.export !== undefined || flags.mcfunction !== undefined;
+}
 
-    bot.on('kicked', (reason) => {
-        addLog(`Kicked: ${reason}`, COLOR.red);
-    });
+function reportExports(region, flags, label, source) {
+    if (flags.export !== undefined) reportExport(region, flags.export, flags, label);
+    if (flags.mcfunction !== undefined) reportDatapack(region, flags.mcfunction, flags, label, source);
+}
 
-    bot.on('error', (error) => {
-        addLog(`Error: ${error.message || error}`, COLOR.yellow);
-    });
+function reportExport(region, file, flags, label) {
+    if (file === true || file === '') {
+        throw new Error(`Export needs a file name ending in ${Object.keys(schematic.EXPORT_FORMATS).map((type) => `.${type}`).join(', ')}.`);
+    }
 
-    bot.on('end', () => {
-        addLog('Bot disconnected from server.', COLOR.yellow);
+    const result = schematic.exportRegion(region, file, {
+        format: flags.exportFormat,
+        version: bot?.version,
     });
 
-    bot.on('health', () => {
-        healthBar = createBar(bot.health);
-        foodBar = createBar(bot.food);
-    });
+    addLog(`Exported ${label} as a ${schematic.EXPORT_FORMATS[result.format]} (${region.size.join('x')}) to ${result.file}.`, COLOR.green);
+    for (const warning of result.warnings) {
+        addLog(warning, COLOR.yellow);
+    }
+}
 
-    bot.once('spawn', () => {
-        actions.init(bot);
-        bot.settings = settings;
-        bot.loadPlugin(mcColor);
-        bot.palettes = palettes;
-        bot.task = [];
+function reportDatapack(region, target, flags, label, source) {
+    if (target === true || target === '') {
+        throw new Error('--mcfunction needs a folder (or a .zip file) to write the datapack to.');
+    }
 
-        addLog(`Joined server ${host}:${portNumber} as ${bot.username}.`, COLOR.green);
-        try {
-            bot.chat("I'm a happy little robot.");
-        } catch (error) {
-            console.error('Failed to send chat message:', error);
-        }
+    const result = datapack.writeDatapack(region, target, {
+        name: flags.functionName ?? path.parse(String(source)).name,
+        namespace: flags.namespace,
+        origin: flags.origin,
+        includeAir: Boolean(flags.includeAir),
+        partSize: flags.partSize !== undefined ? parsePositiveInteger(flags.partSize, 'Part size') : undefined,
+        fillLimit: settings.fillLimit,
+        keep: resolveOverwrite(flags) !== 'replace',
+        version: bot?.version,
+        description: `mc-printer: ${label}`,
     });
 
-    bot.on('chat', (username, message) => {
-        if (!settings.bosses.includes(username)) return;
-        runCommand(message);
-    });
+    addLog(`Wrote ${label} as a datapack to ${result.file}: ${result.commands} command(s) for ${result.blocks} block(s) in ${result.parts} function file(s).`, COLOR.green);
+    addLog(`Run it with /function ${result.function}${flags.origin === undefined ? ' where the build should start' : ''}.`);
+    if (result.scheduled) {
+        addLog('The build is longer than one command chain, so its parts run one tick apart.', COLOR.yellow);
+    }
 }
 
-async function loadImageData(path) {
-    return loadImage(path);
-}
+/*
+    Places arbitrary blocks given relative to targetStart, bottom layer first
+    so survival builds always have something to place against.
+*/
+async function placeBlockList(botInstance, entries, targetStart, { job, repair, overwrite } = {}) {
+    if (settings.commands) {
+        const world = entries.map(({ position: [x, y, z], block }) => ({ position: targetStart.offset(x, y, z).floor(), block }));
+        return sendFills(botInstance, world, { job, repair, overwrite, totalBlocks: entries.length });
+    }
 
-function getBlock(image, x, z, palette = palettes.concrete, gif = false, t = 1) {
-    let r;
-    let g;
-    let b;
-    let alpha;
+    const ordered = [...entries].sort((a, b) => (
+        a.position[1] - b.position[1]
+        || a.position[0] - b.position[0]
+        || (a.position[0] % 2 ? b.position[2] - a.position[2] : a.position[2] - b.position[2])
+    ));
 
-    if (!gif) {
-        const px = Math.floor(image.shape[0] * x);
-        const pz = Math.floor(image.shape[1] * z);
+    const errors = new Map();
+    const unplaced = [];
+    let cancelled = false;
+    let placed = 0;
 
-        r = image.get(px, pz, 0);
-        g = image.get(px, pz, 1);
-        b = image.get(px, pz, 2);
-        alpha = image.get(px, pz, 3) ?? image.get(px, pz, 2);
-    } else {
-        const px = Math.floor(image.shape[1] * x);
-        const pz = Math.floor(image.shape[2] * z);
+    for (let i = 0; i < ordered.length; i++) {
+        if (printData.cancelRequested) {
+            cancelled = true;
+            break;
+        }
 
-        r = image.get(t, px, pz, 0);
-        g = image.get(t, px, pz, 1);
-        b = image.get(t, px, pz, 2);
-        alpha = image.get(t, px, pz, 3) ?? 255;
+        if (job?.shouldSkip(0, i)) continue;
+
+        const { position: [x, y, z], block } = ordered[i];
+        const position = targetStart.offset(x, y, z).floor();
+        const isAir = schematic.isAirBlock(block);
+
+        if (repair && !repair.needsPlacing(position, isAir ? 'air' : block)) {
+            updatePrintProgress(i + 1, ordered.length);
+            job?.complete(0, i, i + 1);
+            continue;
+        }
+
+        if (!await loadChunks(botInstance, [position])) {
+            // Recorded as missed rather than done, so a resume tries it again.
+            unplaced.push({ position, block });
+            updatePrintProgress(i + 1, ordered.length);
+            job?.miss(0, i);
+            continue;
+        }
+        recordOriginals(botInstance, job, [{ position, block }], overwrite);
+
+        placed++;
+
+        const error = await placeSingleBlock(botInstance, position, block, overwrite);
+        if (error) errors.set(verify.positionKey(position), error);
+
+        updatePrintProgress(i + 1, ordered.length);
+        job?.complete(0, i, i + 1);
+
+        if (placed % settings.chunkSize === 0) {
+            await waitForTicks(botInstance, 1);
+        }
     }
 
-    const block = bot.colors.getBlock([r, g, b, alpha], palette);
-    return block;
+    if (cancelled) return { cancelled };
+
+    // Block states can't be chosen in survival, so only the block itself is checked.
+    const expected = ordered.map(({ position: [x, y, z], block }) => ({
+        position: targetStart.offset(x, y, z).floor(),
+        block: schematic.isAirBlock(block) ? 'air' : schematic.parseBlockState(block).name,
+    }));
+    return { cancelled, failed: await verifyBuild(botInstance, expected, { errors, overwrite, unplaced }) };
 }
 
-async function buildImage(texture, palette, startPosition = bot.entity.position.clone(), size = [64, 64], options = {}) {
+async function buildSchematic(region, startPosition = bot.entity.position.clone(), options = {}) {
     const botInstance = ensureBotSpawned();
-    const removeTask = pushTask('draw');
+    const removeTask = pushTask('schematic');
 
     const applyDefaultOffset = options.applyDefaultOffset !== false;
     let targetStart = startPosition.clone();
@@ -1011,52 +3258,65 @@ async function buildImage(texture, palette, startPosition = bot.entity.position.
         targetStart = targetStart.offset(1, 0, 1);
     }
 
-    const totalBlocks = size[0] * size[1];
-    startPrintTask('Image build', totalBlocks);
+    const entries = region.entries().filter(({ block }) => options.includeAir || !schematic.isAirBlock(block));
+    startPrintTask('Schematic build', entries.length);
 
-    let cancelled = false;
+    let result = { cancelled: false };
 
     try {
-        let zDirection = 1;
-        let z = 0;
-
-        for (let x = 0; x < size[0] && !cancelled; x += settings.chunkSize) {
-            while (z >= 0 && z < size[1] && !cancelled) {
-                for (let xx = 0; xx < settings.chunkSize && x + xx < size[0]; xx++) {
-                    if (printData.cancelRequested) {
-                        cancelled = true;
-                        break;
-                    }
+        result = await placeBlockList(botInstance, entries, targetStart, {
+            job: options.job,
+            repair: options.repair,
+            overwrite: options.overwrite,
+        });
+    } finally {
+        finishPrintTask({ cancelled: result.cancelled });
+        removeTask();
+    }
 
-                    const k = x + xx;
-                    const block = getBlock(texture, k / size[0], z / size[1], palette);
-                    const position = targetStart.offset(k, 0, z).floor();
+    return result;
+}
 
-                    if (settings.commands) {
-                        botInstance.chat(`/setblock ${position.x} ${position.y} ${position.z} ${block}`);
-                    } else {
-                        if (block) await actions.placeBlock(botInstance, position, block);
-                        else await actions.clearBlock(botInstance, position);
-                    }
+function defaultOrientation() {
+    return orientation.resolveOrientation({}, settings.orientation);
+}
 
-                    updatePrintProgress(printData.placedBlocks + 1, totalBlocks);
-                }
+async function buildImage(texture, palette, startPosition = bot.entity.position.clone(), size = [64, 64], options = {}) {
+    const botInstance = ensureBotSpawned();
+    const removeTask = pushTask('draw');
+
+    const applyDefaultOffset = options.applyDefaultOffset !== false;
+    let targetStart = startPosition.clone();
+    if (applyDefaultOffset) {
+        targetStart = targetStart.offset(1, 0, 1);
+    }
 
-                if (cancelled) break;
+    // Map art has an extra reference row north of the image.
+    const totalBlocks = size[0] * (size[1] + (options.map ? 1 : 0));
+    startPrintTask(options.map ? 'Map art build' : 'Image build', totalBlocks);
 
-                await botInstance.waitForTicks(1);
-                z += zDirection;
-            }
+    let result = { cancelled: false };
 
-            zDirection = -zDirection;
-            z += zDirection;
+    try {
+        const plan = options.plan || planImageBuild(botInstance, texture, palette, size, options);
+
+        if (options.map) {
+            targetStart = targetStart.offset(0, 0, -1);
+            addLog(`Map art staircase is ${plan.maxHeight + 1} block(s) tall.`);
         }
+
+        result = await placeImagePlan(botInstance, plan, targetStart, {
+            facing: options.orientation || defaultOrientation(),
+            job: options.job,
+            repair: options.repair,
+            overwrite: options.overwrite,
+        });
     } finally {
-        finishPrintTask({ cancelled });
+        finishPrintTask({ cancelled: result.cancelled });
         removeTask();
     }
 
-    return { cancelled };
+    return result;
 }
 
 async function buildGif(texture, palette, startPosition = bot.entity.position.clone(), size = [64, 64], frame = 0, options = {}) {
@@ -1075,49 +3335,25 @@ async function buildGif(texture, palette, startPosition = bot.entity.position.cl
         frameCount: options.frameCount || texture.shape[0] || 1,
     });
 
-    let cancelled = false;
+    let result = { cancelled: false };
 
     try {
-        let zDirection = 1;
-        let z = 0;
-
-        for (let x = 0; x < size[0] && !cancelled; x += settings.chunkSize) {
-            while (z >= 0 && z < size[1] && !cancelled) {
-                for (let xx = 0; xx < settings.chunkSize && x + xx < size[0]; xx++) {
-                    if (printData.cancelRequested) {
-                        cancelled = true;
-                        break;
-                    }
-
-                    const k = x + xx;
-                    const block = getBlock(texture, k / size[0], z / size[1], palette, true, frame);
-                    const position = targetStart.offset(k, 0, z).floor();
-
-                    if (settings.commands) {
-                        botInstance.chat(`/setblock ${position.x} ${position.y} ${position.z} ${block}`);
-                    } else {
-                        if (block) await actions.placeBlock(botInstance, position, block);
-                        else await actions.clearBlock(botInstance, position);
-                    }
-
-                    updatePrintProgress(printData.placedBlocks + 1, totalBlocks);
-                }
-
-                if (cancelled) break;
-
-                await botInstance.waitForTicks(1);
-                z += zDirection;
-            }
-
-            zDirection = -zDirection;
-            z += zDirection;
-        }
+        const plan = planImageBuild(botInstance, texture, palette, size, { ...options, frame });
+
+        result = await placeImagePlan(botInstance, plan, targetStart, {
+            facing: options.orientation || defaultOrientation(),
+            layer: options.layer || 0,
+            job: options.job,
+            part: options.part,
+            repair: options.repair,
+            overwrite: options.overwrite,
+        });
     } finally {
-        finishPrintTask({ cancelled });
+        finishPrintTask({ cancelled: result.cancelled });
         removeTask();
     }
 
-    return { cancelled };
+    return result;
 }
 
 addLog('Welcome to the Himalayas!');
@@ -1126,6 +3362,7 @@ module.exports = {
     loadImage: loadImageData,
     buildImage,
     buildGif,
+    buildSchematic,
     getBlock,
 };
 
@@ -0,0 +1,98 @@
+/*
+    Runs queued builds one at a time. The queue only decides what runs next;
+    `run(entry)` does the actual work and may return { requeue } to put an
+    entry back at the front (used when a build is paused part way through).
+*/
+function createJobQueue({ run, onError }) {
+    const waiting = [];
+    let current = null;
+    let paused = false;
+    let nextId = 1;
+
+    async function pump() {
+        if (current || paused || !waiting.length) return;
+
+        current = waiting.shift();
+        current.status = 'running';
+
+        try {
+            const result = await run(current);
+            if (result?.requeue) {
+                waiting.unshift({ ...current, ...result.requeue, status: 'paused' });
+            }
+        } catch (error) {
+            onError(error, current);
+        } finally {
+            current = null;
+        }
+
+        pump();
+    }
+
+    function enqueue(entry, { front = false } = {}) {
+        const item = { ...entry, id: nextId++, status: 'queued' };
+
+        if (front) waiting.unshift(item);
+        else waiting.push(item);
+
+        pump();
+        return item;
+    }
+
+    // Accepts a queue number ("3" or "#3") or the id of the job an entry belongs to.
+    function findIndex(reference) {
+        const text = String(reference).replace(/^#/, '');
+        return waiting.findIndex((entry) => String(entry.id) === text || entry.jobId === text);
+    }
+
+    function remove(reference) {
+        const index = findIndex(reference);
+        if (index === -1) return null;
+        return waiting.splice(index, 1)[0];
+    }
+
+    function move(reference, position) {
+        const index = findIndex(reference);
+        if (index === -1) return null;
+
+        const [entry] = waiting.splice(index, 1);
+        const target = Math.max(0, Math.min(waiting.length, position - 1));
+        waiting.splice(target, 0, entry);
+        return entry;
+    }
+
+    function clear() {
+        return waiting.splice(0, waiting.length);
+    }
+
+    function pause() {
+        paused = true;
+    }
+
+    function resume() {
+        paused = false;
+        pump();
+    }
+
+    return {
+        enqueue,
+        remove,
+        move,
+        clear,
+        pause,
+        resume,
+        get paused() {
+            return paused;
+        },
+        get current() {
+            return current;
+        },
+        get waiting() {
+            return [...waiting];
+        },
+    };
+}
+
+module.exports = {
+    createJobQueue,
+};
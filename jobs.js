@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+
+const JOB_DIRECTORY = 'jobs';
+
+// Checkpoints are written at most this often while a build runs (ms).
+const CHECKPOINT_INTERVAL = 1000;
+
+const FINISHED = ['completed'];
+
+// Settings that change what gets placed where; restored while a job resumes.
+const SNAPSHOT_KEYS = ['chunkSize', 'commands', 'fillLimit', 'overwrite', 'mode', 'color', 'orientation'];
+
+// What createJob generates: the kind and a base-36 timestamp.
+const JOB_ID_PATTERN = /^[a-z]+-[0-9a-z]+$/;
+
+function isJobId(id) {
+    return JOB_ID_PATTERN.test(String(id));
+}
+
+// Ids come from the console and from chat, so anything else could point outside the jobs folder.
+function jobPath(id) {
+    if (!isJobId(id)) {
+        throw new Error(`"${id}" is not a job id.`);
+    }
+    return path.join(JOB_DIRECTORY, `${id}.json`);
+}
+
+function writeJob(job) {
+    fs.mkdirSync(JOB_DIRECTORY, { recursive: true });
+    fs.writeFileSync(jobPath(job.id), JSON.stringify(job, null, 4));
+}
+
+function readJob(id) {
+    const file = jobPath(id);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function listJobs({ all = false } = {}) {
+    if (!fs.existsSync(JOB_DIRECTORY)) return [];
+
+    return fs.readdirSync(JOB_DIRECTORY)
+        .filter((name) => name.endsWith('.json'))
+        .map((name) => {
+            try {
+                return JSON.parse(fs.readFileSync(path.join(JOB_DIRECTORY, name), 'utf8'));
+            } catch {
+                return null;
+            }
+        })
+        .filter((job) => job && (all || !FINISHED.includes(job.status)))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+function deleteJob(id) {
+    const file = jobPath(id);
+    if (!fs.existsSync(file)) return false;
+    fs.unlinkSync(file);
+    return true;
+}
+
+function snapshotSettings(settings) {
+    return Object.fromEntries(SNAPSHOT_KEYS
+        .filter((key) => settings[key] !== undefined)
+        .map((key) => [key, JSON.parse(JSON.stringify(settings[key]))]));
+}
+
+function isBefore(a, b) {
+    return a.part < b.part || (a.part === b.part && a.step < b.step);
+}
+
+/*
+    A job remembers how a build was started (the command, its resolved
+    origin and the settings at the time) and how far it got. Progress is
+    counted in steps within parts: a part is one GIF frame or a whole image,
+    a step is one row segment of placeImagePlan or one block of a schematic.
+
+    Builds call shouldSkip(part, step) before each step and complete(part,
+    step) after it; resuming a job skips everything already done. When
+    several bots share a build, steps finish out of order: the checkpoint's
+    step is where everything before is done, and `done` lists the steps
+    after it that are done as well. Steps a build had to leave out (their
+    chunks never loaded) are passed to miss(part, step) instead: they count
+    as done for the checkpoint but are listed in `missed`, so resuming runs
+    them again.
+*/
+function openJob(data) {
+    const job = data;
+    const { part = 0, step = 0, done = [], missed: missedSteps = [] } = job.checkpoint || {};
+    const resumeFrom = { part, step };
+    const resumeDone = new Set(done);
+    const missed = new Map(missedSteps.map((entry) => [`${entry.part}:${entry.step}`, entry]));
+    const mark = { part, step };
+    let pending = new Set(done);
+    let lastWrite = 0;
+    const saveListeners = [];
+
+    const advance = (part, step) => {
+        if (part !== mark.part) {
+            mark.part = part;
+            mark.step = 0;
+            pending = new Set();
+        }
+
+        pending.add(step);
+        while (pending.delete(mark.step)) mark.step++;
+    };
+
+    const updateCheckpoint = () => {
+        job.checkpoint = { part: mark.part, step: mark.step };
+        if (pending.size) job.checkpoint.done = [...pending].sort((a, b) => a - b);
+        if (missed.size) job.checkpoint.missed = [...missed.values()];
+    };
+
+    const save = (force = false) => {
+        const now = Date.now();
+        if (!force && now - lastWrite < CHECKPOINT_INTERVAL) return;
+        saveListeners.forEach((listener) => listener());
+        job.updatedAt = now;
+        lastWrite = now;
+        writeJob(job);
+    };
+
+    return {
+        get id() {
+            return job.id;
+        },
+        get data() {
+            return job;
+        },
+        resumeFrom,
+        // Runs just before each checkpoint is written, for state that must be saved no later than it.
+        onSave(listener) {
+            saveListeners.push(listener);
+        },
+        shouldSkip(part, step) {
+            if (missed.has(`${part}:${step}`)) return false;
+            return isBefore({ part, step }, resumeFrom) || (part === resumeFrom.part && resumeDone.has(step));
+        },
+        complete(part, step, placed) {
+            // A missed step was already counted when it was missed.
+            if (!missed.delete(`${part}:${step}`)) advance(part, step);
+            updateCheckpoint();
+            if (placed !== undefined) job.progress.placed = placed;
+            save();
+        },
+        miss(part, step) {
+            if (!missed.has(`${part}:${step}`)) advance(part, step);
+            missed.set(`${part}:${step}`, { part, step });
+            updateCheckpoint();
+            save();
+        },
+        start(total) {
+            job.status = 'running';
+            job.progress.total = total ?? job.progress.total;
+            save(true);
+        },
+        finish(status, message) {
+            job.status = status;
+            job.message = message;
+            save(true);
+        },
+    };
+}
+
+function createJob({ kind, label, command, origin, applyDefaultOffset, settings }) {
+    const now = Date.now();
+
+    return openJob({
+        id: `${kind}-${now.toString(36)}`,
+        kind,
+        label,
+        command,
+        origin: { x: origin.x, y: origin.y, z: origin.z },
+        applyDefaultOffset,
+        settings: snapshotSettings(settings),
+        status: 'pending',
+        createdAt: now,
+        updatedAt: now,
+        checkpoint: { part: 0, step: 0 },
+        progress: { placed: 0, total: 0 },
+    });
+}
+
+function loadJob(id) {
+    const data = readJob(id);
+    return data ? openJob(data) : null;
+}
+
+module.exports = {
+    JOB_DIRECTORY,
+    isJobId,
+    createJob,
+    loadJob,
+    listJobs,
+    deleteJob,
+};
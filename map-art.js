@@ -0,0 +1,129 @@
+const fs = require('fs');
+
+const { samplePixels } = require('./image-planner.js');
+const { ditherPixels } = require('./dithering.js');
+const { compilePalette } = require('./palette-compiler.js');
+
+const MAP_COLORS = JSON.parse(fs.readFileSync('map-colors.json', 'utf8'));
+
+// Brightness a map gives a block that sits lower than, level with, or higher than the one north of it.
+const SHADES = {
+    dark: 180,
+    flat: 220,
+    light: 255,
+};
+
+// Maps are 128x128 blocks, with their corners at -64 + 128k.
+const MAP_SIZE = 128;
+
+// Filler for the row north of the image that the first row is shaded against.
+const REFERENCE_BLOCK = 'stone';
+
+function shadeColor(color, shade) {
+    return color.map((channel) => Math.floor(channel * shade / 255));
+}
+
+/*
+    One entry per map colour and shade. When `allowedBlocks` is given, only
+    colours that can be made from one of those blocks are kept.
+*/
+function buildMapPalette({ flat = false, allowedBlocks } = {}) {
+    const shades = flat ? ['flat'] : ['dark', 'flat', 'light'];
+    const entries = [];
+
+    for (const mapColor of MAP_COLORS) {
+        const block = allowedBlocks
+            ? mapColor.blocks.find((candidate) => allowedBlocks.has(candidate))
+            : mapColor.blocks[0];
+        if (!block) continue;
+
+        for (const shade of shades) {
+            const color = shadeColor(mapColor.color, SHADES[shade]);
+            entries.push({ block, average: color, dominant: color, shade, mapColor: mapColor.name });
+        }
+    }
+
+    return entries;
+}
+
+/*
+    Works out the staircase for each north-south column: a light pixel sits
+    one block higher than the one before it, a dark pixel one lower. Row 0 is
+    the reference row north of the image; heights start at 0 per column.
+*/
+function computeHeights(shades, width, height) {
+    const heights = new Array(width * (height + 1)).fill(0);
+
+    for (let x = 0; x < width; x++) {
+        let current = 0;
+        let lowest = 0;
+
+        for (let z = 0; z < height; z++) {
+            const shade = shades[z * width + x];
+            if (shade === 'light') current++;
+            else if (shade === 'dark') current--;
+
+            heights[(z + 1) * width + x] = current;
+            lowest = Math.min(lowest, current);
+        }
+
+        for (let z = 0; z <= height; z++) {
+            heights[z * width + x] -= lowest;
+        }
+    }
+
+    return heights;
+}
+
+/*
+    Plans an image as map art. The plan has one extra row in front of the
+    image (the reference row) and a height for every block, so it should be
+    placed starting one block north of where the image itself begins.
+*/
+function planMapArt(image, size, { frame, dither = 'none', mode, flat = false, allowedBlocks } = {}) {
+    const [width, height] = size;
+    const entries = buildMapPalette({ flat, allowedBlocks });
+
+    if (!entries.length) {
+        throw new Error('None of the palette blocks have a map colour.');
+    }
+
+    const compiled = compilePalette(entries, { source: 'average', mode });
+    const match = (color) => {
+        if (color[3] === 0) return null;
+        const entry = compiled.nearest(color);
+        return { block: entry.block, color: entry.average, shade: entry.shade };
+    };
+
+    const pixels = samplePixels(image, size, frame);
+    const results = ditherPixels(pixels, width, height, dither, match);
+    const shades = results.map((result) => (result ? result.shade : 'flat'));
+
+    const blocks = [
+        ...new Array(width).fill(REFERENCE_BLOCK),
+        ...results.map((result) => (result ? result.block : 'air')),
+    ];
+    const heights = computeHeights(shades, width, height);
+
+    return {
+        width,
+        height: height + 1,
+        blocks,
+        heights,
+        maxHeight: heights.reduce((highest, value) => Math.max(highest, value), 0),
+    };
+}
+
+// Moves a position to the north-west corner of the map it falls on.
+function alignToMap(position) {
+    const snap = (value) => Math.floor((value + 64) / MAP_SIZE) * MAP_SIZE - 64;
+    return position.clone().set(snap(Math.floor(position.x)), Math.floor(position.y), snap(Math.floor(position.z)));
+}
+
+module.exports = {
+    MAP_COLORS,
+    MAP_SIZE,
+    buildMapPalette,
+    planMapArt,
+    alignToMap,
+};
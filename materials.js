@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const minecraftData = require('minecraft-data');
+
+// Used for stack sizes when no bot is connected to say which version we are on.
+const DEFAULT_VERSION = '1.21.1';
+
+const SHULKER_SLOTS = 27;
+
+const FORMATS = ['csv', 'json'];
+
+function countBlocks(blocks) {
+    const counts = new Map();
+
+    for (const block of blocks) {
+        if (!block || block === 'air' || block === 'cave_air') continue;
+        counts.set(block, (counts.get(block) || 0) + 1);
+    }
+
+    return counts;
+}
+
+function mergeCounts(target, counts) {
+    for (const [block, count] of counts) {
+        target.set(block, (target.get(block) || 0) + count);
+    }
+    return target;
+}
+
+/*
+    Turns block counts into a bill of materials, largest first. Each row
+    says how many full stacks plus loose items that is, and how many
+    shulker boxes it would fill on its own.
+*/
+function createBillOfMaterials(counts, version = DEFAULT_VERSION) {
+    const data = minecraftData(version) || minecraftData(DEFAULT_VERSION);
+
+    const rows = [...counts]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .map(([block, count]) => {
+            const stackSize = data.itemsByName[block]?.stackSize || 64;
+            const slots = Math.ceil(count / stackSize);
+
+            return {
+                block,
+                count,
+                stackSize,
+                stacks: Math.floor(count / stackSize),
+                remainder: count % stackSize,
+                slots,
+                shulkerBoxes: Math.round(slots / SHULKER_SLOTS * 100) / 100,
+            };
+        });
+
+    const slots = rows.reduce((sum, row) => sum + row.slots, 0);
+
+    return {
+        rows,
+        total: {
+            blocks: rows.reduce((sum, row) => sum + row.count, 0),
+            types: rows.length,
+            slots,
+            shulkerBoxes: Math.ceil(slots / SHULKER_SLOTS),
+        },
+    };
+}
+
+function describeRow(row) {
+    const stacks = row.stacks ? `${row.stacks} stack(s)${row.remainder ? ` + ${row.remainder}` : ''}` : `${row.remainder}`;
+    return `${row.block}: ${row.count} (${stacks}, ${row.shulkerBoxes} shulker box(es))`;
+}
+
+function formatCSV(bom) {
+    const lines = ['block,count,stack_size,stacks,remainder,shulker_boxes'];
+
+    for (const row of bom.rows) {
+        lines.push([row.block, row.count, row.stackSize, row.stacks, row.remainder, row.shulkerBoxes].join(','));
+    }
+    lines.push(['total', bom.total.blocks, '', '', '', bom.total.shulkerBoxes].join(','));
+
+    return `${lines.join('\n')}\n`;
+}
+
+function formatJSON(bom) {
+    return `${JSON.stringify(bom, null, 4)}\n`;
+}
+
+// The format comes from --format, or else from the file extension.
+function exportBillOfMaterials(bom, file, format) {
+    const type = String(format || path.extname(file).slice(1) || 'csv').toLowerCase();
+
+    if (!FORMATS.includes(type)) {
+        throw new Error(`Unknown materials format "${type}". Use one of: ${FORMATS.join(', ')}.`);
+    }
+
+    const resolved = path.resolve(file);
+    fs.writeFileSync(resolved, type === 'json' ? formatJSON(bom) : formatCSV(bom));
+
+    return resolved;
+}
+
+module.exports = {
+    FORMATS,
+    countBlocks,
+    mergeCounts,
+    createBillOfMaterials,
+    describeRow,
+    exportBillOfMaterials,
+};
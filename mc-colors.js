@@ -1,55 +1,103 @@
-const fs = require('fs');
-
 const antiColor = require('./antimatter-color.js');
 const colourDistances = require('./colour-distances.js');
-const palettes = JSON.parse(fs.readFileSync('palettes.json', 'utf8'));
+const { compilePalette, getSwatch } = require('./palette-compiler.js');
+const paletteStore = require('./palette-store.js');
+const palettes = paletteStore.palettes;
 
 function parsePaletteString(paletteString) {
-	let palette = [];
+	return paletteStore.parsePaletteExpression(paletteString);
+}
 
-    for (p of paletteString.split('+')) {
-        palette.push(...palettes[p]);
-    }
+const compiledPalettes = new Map();
+const compiledArrays = new WeakMap();
+
+function getCompiledPalette(palette, source, mode) {
+	let cache = compiledPalettes;
 
-    return palette;
+	if (typeof palette !== "string") {
+		if (!compiledArrays.has(palette)) compiledArrays.set(palette, new Map());
+		cache = compiledArrays.get(palette);
+	}
+
+	let key = `${palette}|${source}|${mode}`;
+	if (typeof palette !== "string") key = `${source}|${mode}`;
+
+	if (!cache.has(key)) {
+		let entries = typeof palette === "string"? parsePaletteString(palette) : palette;
+		cache.set(key, compilePalette(entries, { source, mode }));
+	}
+
+	return cache.get(key);
+}
+
+function clearCompiledPalettes() {
+	compiledPalettes.clear();
 }
 
+paletteStore.onChange(clearCompiledPalettes);
+
 function colorDistanceRGB([r1, g1, b1], [r2, g2, b2]) {
 	return colourDistances.rgb(r1, g1, b1, r2, g2, b2);
 }
 
 function colorDistanceLAB([r1, g1, b1], [r2, g2, b2]) {
-	//
+	return antiColor.deltaE(antiColor.rgb2lab([r1, g1, b1]), antiColor.rgb2lab([r2, g2, b2]));
 }
 
-function getBlockFromColor(bot, [r, g, b, alpha], palette='zero-gravity', mode="rgb") {
+function getEntryFromColor(bot, [r, g, b, alpha], palette='zero-gravity', mode) {
+	if (alpha === 0) return null;
+
+	mode = colourDistances.normalizeMode(mode || bot.settings.mode);
+
+	return getCompiledPalette(palette, bot.settings.color, mode).nearest([r, g, b]);
+}
+
+// The original linear scan, kept as a reference for the compiled lookups.
+function getEntryFromColorLinear(bot, [r, g, b, alpha], palette='zero-gravity', mode) {
 	if (typeof palette === "string") palette = parsePaletteString(palette);
 
 	let settings = bot.settings;
 
-	if (alpha === 0) return "air";
+	if (alpha === 0) return null;
+
+	// Dithered colours can be fractional; round them like the compiled lookup does.
+	[r, g, b] = [r, g, b].map(Math.round);
 
+	mode = colourDistances.normalizeMode(mode || settings.mode);
+
+	let metric = colourDistances.metrics[mode];
 	let best = palette[0];
 
-	for (i in palette) {
+	for (let i in palette) {
 
-        if (bot.settings.mode === "LAB") {
+        if (mode === "LAB") {
             let sourceColor = antiColor.rgb2lab([r, g, b]);
-            let colA = antiColor.rgb2lab(best[settings.color]);
-            let colB = antiColor.rgb2lab(palette[i][settings.color]);
+            let colA = antiColor.rgb2lab(getSwatch(best, settings.color));
+            let colB = antiColor.rgb2lab(getSwatch(palette[i], settings.color));
             let disA = antiColor.deltaE(sourceColor, colA);
             let disB = antiColor.deltaE(sourceColor, colB);
             
             best = disA < disB? best : palette[i];
-        } else if (bot.settings.mode === "RGB") {
-            let distanceA = colorDistanceRGB([r, g, b], best[settings.color]);
-            let distanceB = colorDistanceRGB([r, g, b], palette[i][settings.color]);
+        } else if (mode === "RGB") {
+            let distanceA = colorDistanceRGB([r, g, b], getSwatch(best, settings.color));
+            let distanceB = colorDistanceRGB([r, g, b], getSwatch(palette[i], settings.color));
+
+            best = distanceA < distanceB? best : palette[i];
+        } else {
+            let sourceColor = metric.toVector([r, g, b]);
+            let distanceA = metric.distance(sourceColor, metric.toVector(getSwatch(best, settings.color)));
+            let distanceB = metric.distance(sourceColor, metric.toVector(getSwatch(palette[i], settings.color)));
 
             best = distanceA < distanceB? best : palette[i];
         }
     }
 
-    return best.block;
+    return best;
+}
+
+function getBlockFromColor(bot, color, palette='zero-gravity', mode) {
+	let entry = getEntryFromColor(bot, color, palette, mode);
+	return entry? entry.block : "air";
 }
 
 function plugin(bot) {
@@ -57,9 +105,23 @@ function plugin(bot) {
 
 	bot.colors.palettes = palettes;
 
-	bot.colors.getBlock = (color, palette="zero-gravity", mode="rgb")=>{
+	bot.colors.getBlock = (color, palette="zero-gravity", mode)=>{
 		return getBlockFromColor(bot, color, palette, mode);
 	}
+
+	bot.colors.getSwatch = (entry)=>{
+		return getSwatch(entry, bot.settings.color);
+	}
+
+	bot.colors.getEntry = (color, palette="zero-gravity", mode)=>{
+		return getEntryFromColor(bot, color, palette, mode);
+	}
+
+	bot.colors.getEntryLinear = (color, palette="zero-gravity", mode)=>{
+		return getEntryFromColorLinear(bot, color, palette, mode);
+	}
+
+	bot.colors.clearCache = clearCompiledPalettes;
 }
 
 module.exports = plugin;
\ No newline at end of file
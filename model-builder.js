@@ -1,6 +1,7 @@
 const fs = require('fs');
 const vec3 = require('vec3');
 const getPixels = require('get-pixels');
+const { DEFAULT_ORIENTATION, createOrientation } = require('./orientation.js');
 
 function distanceBetweenPoints(a, b) {
 	return Math.hypot(a.x-b.x, a.y-b.y, a.z-b.z);
@@ -119,17 +120,6 @@ function parseModelData(data) {
 	};
 }
 
-let blocksPlaced = 0;
-
-async function setBlock(bot, position, blockType) {
-	if (blockType === "air" || blockType === "cave_air") return;
-
-	await bot.chat(`/setblock ${position.x} ${position.y} ${position.z} ${blockType}`);
-
-	if (blocksPlaced % bot.settings.chunkSize === 0) await bot.waitForTicks(1);
-	blocksPlaced++;
-}
-
 // I don't currently use this function but I'm very tempted.
 async function coolSetBlock(bot, position, blockType) {
 	await bot.chat(`/setblock ${position.x} ${position.y} ${position.z} red_concrete`);
@@ -137,7 +127,14 @@ async function coolSetBlock(bot, position, blockType) {
 	await bot.chat(`/setblock ${position.x} ${position.y} ${position.z} ${blockType}`);
 }
 
-async function buildLine(bot, pointA, pointB, texture, [uvA, uvB]) {
+// Later blocks at the same position win, as they would if placed in order.
+function addBlock(plan, point, block) {
+	let key = `${point.x},${point.y},${point.z}`;
+	plan.delete(key);
+	plan.set(key, {position: point, block});
+}
+
+function traceLine(plan, bot, pointA, pointB, texture, [uvA, uvB]) {
 	let distance = distanceBetweenPoints(pointA, pointB);
 
 	for (let i = 0; i < distance; i++) {
@@ -150,11 +147,11 @@ async function buildLine(bot, pointA, pointB, texture, [uvA, uvB]) {
 		point.y = Math.floor(point.y);
 		point.z = Math.floor(point.z);
 
-		await setBlock(bot, point, block);
+		addBlock(plan, point, block);
 	}
 }
 
-async function buildTriangle(bot, pointA, pointB, pointC, texture, [uvA, uvB, uvC]) {
+function traceTriangle(plan, bot, pointA, pointB, pointC, texture, [uvA, uvB, uvC]) {
 	let distance = distanceBetweenPoints(pointA, pointB);
 
 	for (let i = 0; i < distance; i++) {
@@ -162,34 +159,40 @@ async function buildTriangle(bot, pointA, pointB, pointC, texture, [uvA, uvB, uv
 		let pointAB = lerp3D(pointA, pointB, i/distance);
 		let uvAB = lerp2D(uvA, uvB, i/distance);
 
-		await buildLine(bot, pointAB, pointC, texture, [uvAB, uvC]);
+		traceLine(plan, bot, pointAB, pointC, texture, [uvAB, uvC]);
 	}
 }
 
-async function buildQuad(bot, pointA, pointB, pointC, pointD, texture, uv) {
-	await buildTriangle(bot, pointA, pointB, pointC, texture, [uv[0], uv[1], uv[2]]);
-	await buildTriangle(bot, pointC, pointD, pointA, texture, [uv[2], uv[3], uv[0]]);
+function traceQuad(plan, bot, pointA, pointB, pointC, pointD, texture, uv) {
+	traceTriangle(plan, bot, pointA, pointB, pointC, texture, [uv[0], uv[1], uv[2]]);
+	traceTriangle(plan, bot, pointC, pointD, pointA, texture, [uv[2], uv[3], uv[0]]);
 }
 
-async function buildModel(bot, {path, textureLocation, position, size}, buildType) {
-	bot.chat(`Preparing model of ${path}. (${size})`);
+// Models turn about their origin, so the canvas is a single point.
+function orientVertex(orient, position, vertex, scale) {
+	let offset = orient(vertex.x*scale, vertex.z*scale, vertex.y*scale);
+	return position.offset(offset.x, offset.y, offset.z);
+}
 
+/*
+	Works out every block of the model without placing anything. `bot` only
+	needs the colour plugin, so an offline stand-in works too. Returns a list
+	of {position, block} in build order.
+*/
+async function planModel(bot, {path, textureLocation, position, size, orientation = DEFAULT_ORIENTATION}, buildType) {
 	let model = await readModelFile(path);
 	let texture = await loadImage(textureLocation);
 
 	let scale = (1 / model.size) * size;
-
-	bot.chat(`Building model of ${path}. (${size})`);
+	let orient = createOrientation(orientation, 1, 1);
+	let plan = new Map();
 
 	if (buildType === "points") {
 		for (vertex of model.vertices) {
-			let pos = position.offset(vertex.x*scale, vertex.y*scale, vertex.z*scale).floor();
-
-			await bot.chat(`/setblock ${pos.x} ${pos.y} ${pos.z} light_blue_concrete`);
-			await bot.waitForTicks(1);
+			addBlock(plan, orientVertex(orient, position, vertex, scale).floor(), "light_blue_concrete");
 		}
 
-		return;
+		return [...plan.values()];
 	}
 
 	for (index in model.faces) {
@@ -198,7 +201,7 @@ async function buildModel(bot, {path, textureLocation, position, size}, buildTyp
 
 		face = face.map((vertexIndex)=>{
 			let vertex = model.vertices[vertexIndex];
-			let point = position.offset(vertex.x*scale, vertex.y*scale, vertex.z*scale);
+			let point = orientVertex(orient, position, vertex, scale);
 			return point;
 		});
 
@@ -207,18 +210,20 @@ async function buildModel(bot, {path, textureLocation, position, size}, buildTyp
 		});
 
 		if (face.length === 3) {
-			await buildTriangle(bot, face[0], face[1], face[2], texture, uvs);
+			traceTriangle(plan, bot, face[0], face[1], face[2], texture, uvs);
 		}
 
 		if (face.length === 4) {
-			await buildQuad(bot, face[0], face[1], face[2], face[3], texture, uvs);
+			traceQuad(plan, bot, face[0], face[1], face[2], face[3], texture, uvs);
 		}
 
 		for (let k = 0; k < face.length-1; k++) {
-			await buildLine(bot, face[k], face[k+1], texture, [uvs[k], uvs[k+1]]);
+			traceLine(plan, bot, face[k], face[k+1], texture, [uvs[k], uvs[k+1]]);
 		}
 	}
+
+	return [...plan.values()];
 }
 
-exports.buildModel = buildModel;
+exports.planModel = planModel;
 exports.parseModelData = parseModelData;
\ No newline at end of file
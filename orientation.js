@@ -0,0 +1,116 @@
+const FACINGS = ['up', 'down', 'north', 'south', 'east', 'west'];
+const ROTATIONS = [0, 90, 180, 270];
+
+const DEFAULT_ORIENTATION = {
+    facing: 'up',
+    rotate: 0,
+    flipX: false,
+    flipY: false,
+};
+
+/*
+    Where image column u and row v end up for each facing, on a canvas
+    `width` x `height` after rotation. Row 0 is the top of the picture as the
+    viewer sees it, and `depth` moves towards the viewer (used for map-art
+    staircases and model depth).
+*/
+const FACING_TRANSFORMS = {
+    up: (u, v, depth) => ({ x: u, y: depth, z: v }),
+    down: (u, v, depth, width, height) => ({ x: u, y: -depth, z: height - 1 - v }),
+    south: (u, v, depth, width, height) => ({ x: u, y: height - 1 - v, z: depth }),
+    north: (u, v, depth, width, height) => ({ x: width - 1 - u, y: height - 1 - v, z: -depth }),
+    east: (u, v, depth, width, height) => ({ x: depth, y: height - 1 - v, z: width - 1 - u }),
+    west: (u, v, depth, width, height) => ({ x: -depth, y: height - 1 - v, z: u }),
+};
+
+function parseFlag(value) {
+    return value === true || ['true', 'on', '1', 'yes'].includes(String(value).toLowerCase());
+}
+
+function normalizeFacing(value) {
+    const facing = String(value).trim().toLowerCase();
+    if (!FACINGS.includes(facing)) {
+        throw new Error(`Unknown facing "${value}". Use one of: ${FACINGS.join(', ')}.`);
+    }
+    return facing;
+}
+
+function normalizeRotation(value) {
+    const rotate = ((Number(value) % 360) + 360) % 360;
+    if (!ROTATIONS.includes(rotate)) {
+        throw new Error(`Rotation must be one of: ${ROTATIONS.join(', ')}.`);
+    }
+    return rotate;
+}
+
+// Reads --facing/--rotate/--flip-x/--flip-y over the given defaults.
+function resolveOrientation(flags = {}, defaults = DEFAULT_ORIENTATION) {
+    const base = { ...DEFAULT_ORIENTATION, ...defaults };
+
+    return {
+        facing: flags.facing !== undefined ? normalizeFacing(flags.facing) : base.facing,
+        rotate: flags.rotate !== undefined ? normalizeRotation(flags.rotate) : base.rotate,
+        flipX: flags.flipX !== undefined ? parseFlag(flags.flipX) : base.flipX,
+        flipY: flags.flipY !== undefined ? parseFlag(flags.flipY) : base.flipY,
+    };
+}
+
+function hasOrientationFlags(flags = {}) {
+    return ['facing', 'rotate', 'flipX', 'flipY'].some((key) => flags[key] !== undefined);
+}
+
+function isDefaultOrientation(orientation) {
+    return Object.keys(DEFAULT_ORIENTATION).every((key) => orientation[key] === DEFAULT_ORIENTATION[key]);
+}
+
+function describeOrientation(orientation) {
+    const parts = [`facing ${orientation.facing}`];
+    if (orientation.rotate) parts.push(`rotated ${orientation.rotate}°`);
+    if (orientation.flipX) parts.push('flipped horizontally');
+    if (orientation.flipY) parts.push('flipped vertically');
+    return parts.join(', ');
+}
+
+/*
+    Returns a function mapping image column u, row v and depth to a block
+    offset from the build origin. Flips are applied first, then the clockwise
+    rotation, then the facing.
+*/
+function createOrientation(orientation, width, height) {
+    const { facing, rotate, flipX, flipY } = orientation;
+    const turned = rotate === 90 || rotate === 270;
+    const canvasWidth = turned ? height : width;
+    const canvasHeight = turned ? width : height;
+    const place = FACING_TRANSFORMS[facing];
+
+    return (u, v, depth = 0) => {
+        const fu = flipX ? width - 1 - u : u;
+        const fv = flipY ? height - 1 - v : v;
+
+        let ru = fu;
+        let rv = fv;
+        if (rotate === 90) {
+            ru = height - 1 - fv;
+            rv = fu;
+        } else if (rotate === 180) {
+            ru = width - 1 - fu;
+            rv = height - 1 - fv;
+        } else if (rotate === 270) {
+            ru = fv;
+            rv = width - 1 - fu;
+        }
+
+        return place(ru, rv, depth, canvasWidth, canvasHeight);
+    };
+}
+
+module.exports = {
+    FACINGS,
+    ROTATIONS,
+    DEFAULT_ORIENTATION,
+    resolveOrientation,
+    hasOrientationFlags,
+    isDefaultOrientation,
+    describeOrientation,
+    createOrientation,
+};
@@ -0,0 +1,114 @@
+const { metrics, normalizeMode } = require('./colour-distances.js');
+
+// Memoised lookups are dropped once a palette has seen this many distinct colours.
+const MAX_CACHED_COLORS = 1 << 16;
+
+function getSwatch(entry, source = 'average') {
+    return entry[source] || entry.colour;
+}
+
+function buildTree(vectors, indices, depth = 0) {
+    if (!indices.length) return null;
+
+    const axis = depth % 3;
+    indices.sort((a, b) => vectors[a][axis] - vectors[b][axis]);
+
+    const middle = indices.length >> 1;
+
+    return {
+        index: indices[middle],
+        axis,
+        left: buildTree(vectors, indices.slice(0, middle), depth + 1),
+        right: buildTree(vectors, indices.slice(middle + 1), depth + 1),
+    };
+}
+
+/*
+    A palette resolved for one colour source and one colour mode. Swatch
+    vectors are converted once up front, nearest matches are found through a
+    k-d tree and remembered per RGB value.
+
+    Ties go to the later palette entry, the same as the linear scan in
+    mc-colors.js, so both always agree.
+*/
+class CompiledPalette {
+    constructor(entries, { source = 'average', mode = 'RGB' } = {}) {
+        this.entries = entries;
+        this.source = source;
+        this.mode = normalizeMode(mode);
+        this.metric = metrics[this.mode];
+        this.vectors = entries.map((entry) => this.metric.toVector(getSwatch(entry, source)));
+        this.tree = buildTree(this.vectors, entries.map((_, index) => index));
+        this.cache = new Map();
+        this.disabled = new Set();
+    }
+
+    // Stops an entry from matching, e.g. once a block has run out.
+    disable(index) {
+        this.disabled.add(index);
+        this.cache.clear();
+    }
+
+    nearestIndex(rgb) {
+        const r = Math.round(rgb[0]);
+        const g = Math.round(rgb[1]);
+        const b = Math.round(rgb[2]);
+        const key = (r << 16) | (g << 8) | b;
+        const cached = this.cache.get(key);
+        if (cached !== undefined) return cached;
+
+        const index = this.search(this.metric.toVector([r, g, b]));
+
+        if (this.cache.size >= MAX_CACHED_COLORS) this.cache.clear();
+        this.cache.set(key, index);
+
+        return index;
+    }
+
+    nearest(rgb) {
+        const index = this.nearestIndex(rgb);
+        return index === -1 ? null : this.entries[index];
+    }
+
+    search(query) {
+        const { metric, vectors, disabled } = this;
+        let bestIndex = -1;
+        let bestDistance = Infinity;
+
+        const visit = (node) => {
+            if (!node) return;
+
+            if (!disabled.has(node.index)) {
+                const distance = metric.distance(query, vectors[node.index]);
+                if (distance < bestDistance || (distance === bestDistance && node.index > bestIndex)) {
+                    bestDistance = distance;
+                    bestIndex = node.index;
+                }
+            }
+
+            const delta = query[node.axis] - vectors[node.index][node.axis];
+            const near = delta < 0 ? node.left : node.right;
+            const far = delta < 0 ? node.right : node.left;
+
+            visit(near);
+
+            // Equal bounds still have to be searched so later entries can win ties.
+            if (metric.bound(query, node.axis, delta) <= bestDistance) {
+                visit(far);
+            }
+        };
+
+        visit(this.tree);
+        return bestIndex;
+    }
+}
+
+function compilePalette(entries, options) {
+    return new CompiledPalette(entries, options);
+}
+
+module.exports = {
+    CompiledPalette,
+    compilePalette,
+    getSwatch,
+};
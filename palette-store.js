@@ -0,0 +1,208 @@
+const fs = require('fs');
+
+const PALETTE_FILE = 'palettes.json';
+const USER_PALETTE_FILE = 'user-palettes.json';
+
+const OPERATORS = ['+', '-', '!'];
+
+const builtinPalettes = JSON.parse(fs.readFileSync(PALETTE_FILE, 'utf8'));
+
+/*
+    User palettes live in their own file and are layered over palettes.json:
+    a user palette with the same name replaces the built-in one, and
+    exclusions hide blocks from a palette whichever layer it comes from.
+*/
+const userData = fs.existsSync(USER_PALETTE_FILE)
+    ? JSON.parse(fs.readFileSync(USER_PALETTE_FILE, 'utf8'))
+    : {};
+userData.palettes = userData.palettes || {};
+userData.exclude = userData.exclude || {};
+
+// Shared by the console and the colour plugin so both always see the same palettes.
+const palettes = {};
+
+const listeners = [];
+
+function onChange(listener) {
+    listeners.push(listener);
+}
+
+function rebuild() {
+    for (const key of Object.keys(palettes)) delete palettes[key];
+
+    for (const name of new Set([...Object.keys(builtinPalettes), ...Object.keys(userData.palettes)])) {
+        const entries = userData.palettes[name] || builtinPalettes[name];
+        const excluded = new Set(userData.exclude[name] || []);
+        palettes[name] = excluded.size ? entries.filter((entry) => !excluded.has(entry.block)) : entries;
+    }
+
+    for (const listener of listeners) listener();
+}
+
+function formatValue(value) {
+    return JSON.stringify(value).replace(/,/g, ', ').replace(/":/g, '": ');
+}
+
+// Keeps the hand-written layout: inline colour arrays, one-line "colour" entries.
+function formatEntry(entry, indent) {
+    const fields = Object.entries(entry).map(([key, value]) => `${JSON.stringify(key)}: ${formatValue(value)}`);
+
+    if ('colour' in entry) {
+        return `${indent}{${fields.join(', ')}}`;
+    }
+
+    return `${indent}{\n${fields.map((field) => `${indent}    ${field}`).join(',\n')}\n${indent}}`;
+}
+
+function formatPalettes(data, indent = '') {
+    const keys = Object.entries(data).map(([name, entries]) => {
+        const lines = entries.map((entry) => formatEntry(entry, `${indent}        `));
+        return `${indent}    ${JSON.stringify(name)}: [\n${lines.join(',\n')}\n${indent}    ]`;
+    });
+
+    if (!keys.length) return '{}';
+
+    return `{\n${keys.join(',\n')}\n${indent}}`;
+}
+
+function saveUserPalettes() {
+    const data = `{\n    "palettes": ${formatPalettes(userData.palettes, '    ')},\n`
+        + `    "exclude": ${JSON.stringify(userData.exclude)}\n}\n`;
+    fs.writeFileSync(USER_PALETTE_FILE, data);
+}
+
+function describePalette(name) {
+    const isUser = Boolean(userData.palettes[name]);
+    const isBuiltin = Boolean(builtinPalettes[name]);
+
+    return {
+        exists: isUser || isBuiltin,
+        source: isUser ? (isBuiltin ? 'user override' : 'user') : 'built-in',
+        isUser,
+        isBuiltin,
+        exclude: userData.exclude[name] || [],
+    };
+}
+
+function setUserPalette(name, entries) {
+    userData.palettes[name] = entries;
+    saveUserPalettes();
+    rebuild();
+}
+
+function deleteUserPalette(name) {
+    delete userData.palettes[name];
+    delete userData.exclude[name];
+    saveUserPalettes();
+    rebuild();
+}
+
+function setExclusions(name, blocks) {
+    if (blocks.length) userData.exclude[name] = blocks;
+    else delete userData.exclude[name];
+    saveUserPalettes();
+    rebuild();
+}
+
+// Prefers entries with average/dominant swatches over the older single-colour ones.
+function findBlockEntry(block) {
+    let fallback = null;
+
+    for (const entries of [...Object.values(userData.palettes), ...Object.values(builtinPalettes)]) {
+        const entry = entries.find((candidate) => candidate.block === block);
+        if (!entry) continue;
+        if (entry.average) return entry;
+        fallback = fallback || entry;
+    }
+
+    return fallback;
+}
+
+function readTerm(text, start) {
+    // Palette names may contain "-", so the longest name that ends at an operator wins.
+    let name = null;
+    for (const candidate of Object.keys(palettes)) {
+        if (!text.startsWith(candidate, start)) continue;
+        const end = start + candidate.length;
+        if (end !== text.length && !OPERATORS.includes(text[end])) continue;
+        if (!name || candidate.length > name.length) name = candidate;
+    }
+
+    if (name) return { value: name, isPalette: true, end: start + name.length };
+
+    let end = start;
+    while (end < text.length && !OPERATORS.includes(text[end])) end++;
+
+    return { value: text.slice(start, end), isPalette: false, end };
+}
+
+/*
+    Resolves a palette expression into palette entries:
+      concrete+terracotta   combine palettes (or single known blocks)
+      all-glass             drop every block of another palette
+      new!tnt               drop a single block
+*/
+function parsePaletteExpression(expression) {
+    const text = String(expression).trim();
+    const entries = [];
+    const unknown = [];
+
+    let position = 0;
+    let operator = '+';
+
+    while (position <= text.length) {
+        const term = readTerm(text, position);
+
+        if (!term.value) {
+            throw new Error(`Palette expression "${text}" has an empty term at position ${position + 1}.`);
+        }
+
+        if (operator === '+') {
+            if (term.isPalette) {
+                entries.push(...palettes[term.value]);
+            } else {
+                const entry = findBlockEntry(term.value);
+                if (entry) entries.push(entry);
+                else unknown.push(term.value);
+            }
+        } else {
+            // "!" always names a block, even one spelled like a palette.
+            const namesBlock = operator === '!' || !term.isPalette;
+            if (namesBlock && !findBlockEntry(term.value)) {
+                unknown.push(term.value);
+            }
+
+            const removed = operator === '-' && term.isPalette
+                ? new Set(palettes[term.value].map((entry) => entry.block))
+                : new Set([term.value]);
+
+            for (let i = entries.length - 1; i >= 0; i--) {
+                if (removed.has(entries[i].block)) entries.splice(i, 1);
+            }
+        }
+
+        if (term.end >= text.length) break;
+
+        operator = text[term.end];
+        position = term.end + 1;
+    }
+
+    if (unknown.length) {
+        throw new Error(`Unknown palette(s): ${unknown.join(', ')}.`);
+    }
+
+    return entries;
+}
+
+rebuild();
+
+module.exports = {
+    palettes,
+    onChange,
+    describePalette,
+    setUserPalette,
+    deleteUserPalette,
+    setExclusions,
+    findBlockEntry,
+    parsePaletteExpression,
+};
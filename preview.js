@@ -0,0 +1,81 @@
+const { PNG } = require('pngjs');
+
+const { samplePixels } = require('./image-planner.js');
+
+// Transparent gap between the panels, in output pixels.
+const PANEL_GAP = 4;
+
+function fillCell(png, left, top, scale, color) {
+    for (let y = 0; y < scale; y++) {
+        for (let x = 0; x < scale; x++) {
+            const o = ((top + y) * png.width + left + x) * 4;
+            png.data[o] = color[0];
+            png.data[o + 1] = color[1];
+            png.data[o + 2] = color[2];
+            png.data[o + 3] = color[3] ?? 255;
+        }
+    }
+}
+
+// Stretches the first square frame of a block texture over one cell.
+function drawTexture(png, left, top, scale, texture) {
+    const size = Math.min(texture.width, texture.height);
+
+    for (let y = 0; y < scale; y++) {
+        const ty = Math.floor(y * size / scale);
+
+        for (let x = 0; x < scale; x++) {
+            const tx = Math.floor(x * size / scale);
+            const from = (ty * texture.width + tx) * 4;
+            const to = ((top + y) * png.width + left + x) * 4;
+            texture.data.copy(png.data, to, from, from + 4);
+        }
+    }
+}
+
+/*
+    Draws the source image (as the planner samples it) next to the planned
+    blocks. `swatch(block)` gives the colour the block was matched by; when
+    `texture(block)` is given, a third panel shows the block textures, falling
+    back to the swatch for blocks without one.
+*/
+function renderPreview(image, plan, { frame, scale = 4, swatch, texture } = {}) {
+    const { width, height, blocks } = plan;
+    const panels = texture ? 3 : 2;
+    const panelWidth = width * scale;
+    const png = new PNG({
+        width: panelWidth * panels + PANEL_GAP * (panels - 1),
+        height: height * scale,
+    });
+
+    const pixels = samplePixels(image, [width, height], frame);
+    const panelLeft = (panel) => panel * (panelWidth + PANEL_GAP);
+
+    for (let z = 0; z < height; z++) {
+        for (let x = 0; x < width; x++) {
+            const i = z * width + x;
+            const o = i * 4;
+            const top = z * scale;
+
+            fillCell(png, panelLeft(0) + x * scale, top, scale, [pixels[o], pixels[o + 1], pixels[o + 2], pixels[o + 3]]);
+
+            const block = blocks[i];
+            if (!block || block === 'air') continue;
+
+            const color = swatch(block);
+            fillCell(png, panelLeft(1) + x * scale, top, scale, color);
+
+            if (texture) {
+                const tile = texture(block);
+                if (tile) drawTexture(png, panelLeft(2) + x * scale, top, scale, tile);
+                else fillCell(png, panelLeft(2) + x * scale, top, scale, color);
+            }
+        }
+    }
+
+    return PNG.sync.write(png);
+}
+
+module.exports = {
+    renderPreview,
+};
@@ -0,0 +1,147 @@
+const { waitForTicks } = require('./bot-pool.js');
+
+// Floor and ceiling for commands per tick; `adaptive: false` pins the rate to chunkSize.
+const DEFAULT_RATE = {
+    adaptive: true,
+    min: 1,
+    max: 64,
+};
+
+const FULL_TPS = 20;
+const LOW_TPS = 15;
+const HEALTHY_TPS = 18;
+
+// How long after a backoff before the rate may climb again (ms).
+const BACKOFF_COOLDOWN = 5000;
+
+// Only count the rate as "in use" while commands went out this recently (ms).
+const BUSY_WINDOW = 2000;
+
+// Server and plugin wording for "you are sending too much".
+const RATE_LIMIT_PATTERN = /spam|too (?:fast|quickly|many)|rate.?limit|flood|slow down|please wait/i;
+
+function resolveRateLimits(settings) {
+    const limits = { ...DEFAULT_RATE, ...settings.rate };
+    limits.max = Math.max(limits.min, limits.max);
+    return limits;
+}
+
+function clamp(value, { min, max }) {
+    return Math.max(min, Math.min(max, Math.floor(value)));
+}
+
+function describeReason(reason) {
+    return typeof reason === 'string' ? reason : JSON.stringify(reason);
+}
+
+/*
+    Decides how many commands go out per tick. The server's TPS is estimated
+    from how fast bot.time.age advances against the wall clock; while it
+    keeps up the rate creeps up by one, when it lags or the server complains
+    about spam the rate is cut. `initial` lets a reconnect start below the
+    rate that got the last connection kicked.
+*/
+function createRateController(bot, { settings, initial, log = () => {} }) {
+    let rate = clamp(initial ?? settings.chunkSize, resolveRateLimits(settings));
+    let tps = FULL_TPS;
+    let lastSample = null;
+    let lastBackoff = 0;
+    let lastCommand = 0;
+    let sentThisTick = 0;
+    let kickedAt = null;
+
+    const current = () => {
+        const limits = resolveRateLimits(settings);
+        return limits.adaptive ? clamp(rate, limits) : settings.chunkSize;
+    };
+
+    const backOff = (factor, reason) => {
+        const limits = resolveRateLimits(settings);
+        if (!limits.adaptive) return;
+
+        const next = clamp(current() * factor, limits);
+        lastBackoff = Date.now();
+        if (next !== rate) log(`${reason}; slowing to ${next} command(s) per tick.`);
+        rate = next;
+    };
+
+    const onTime = () => {
+        const age = Number(bot.time?.age);
+        const now = Date.now();
+        if (!Number.isFinite(age)) return;
+
+        if (!lastSample) {
+            lastSample = { age, at: now };
+            return;
+        }
+        if (now - lastSample.at < 1000) return;
+
+        const measured = (age - lastSample.age) / ((now - lastSample.at) / 1000);
+        tps = tps * 0.7 + Math.max(0, Math.min(FULL_TPS, measured)) * 0.3;
+        lastSample = { age, at: now };
+
+        // Lag that isn't ours to fix, or headroom we aren't using, shouldn't move the rate.
+        const limits = resolveRateLimits(settings);
+        if (!limits.adaptive || now - lastCommand >= BUSY_WINDOW) return;
+
+        if (tps < LOW_TPS) {
+            backOff(0.75, `Server is running at ${tps.toFixed(1)} TPS`);
+        } else if (tps >= HEALTHY_TPS && now - lastBackoff > BACKOFF_COOLDOWN) {
+            rate = clamp(current() + 1, limits);
+        }
+    };
+
+    const onMessage = (message, position) => {
+        // Player chat can say "spam" too; only the server's own messages count.
+        if (position === 'chat' || !RATE_LIMIT_PATTERN.test(message)) return;
+        backOff(0.5, `Server says "${message.trim()}"`);
+    };
+
+    const onKicked = (reason) => {
+        if (RATE_LIMIT_PATTERN.test(describeReason(reason))) kickedAt = current();
+    };
+
+    bot.on('time', onTime);
+    bot.on('messagestr', onMessage);
+    bot.on('kicked', onKicked);
+
+    return {
+        get rate() {
+            return current();
+        },
+        get tps() {
+            return tps;
+        },
+        // Set once the bot is kicked for spam: the rate the next connection should start below.
+        get kickedAt() {
+            return kickedAt;
+        },
+        // Call after every command; waits a tick once this tick's share has gone out.
+        async afterCommand() {
+            lastCommand = Date.now();
+            sentThisTick++;
+            if (sentThisTick >= current()) {
+                sentThisTick = 0;
+                await waitForTicks(bot, 1);
+            }
+        },
+        // Lets the last partial tick's commands land before the build reports back.
+        async flush() {
+            if (!sentThisTick) return;
+            sentThisTick = 0;
+            // A bot that disconnected has nothing left to land.
+            await waitForTicks(bot, 1).catch(() => {});
+        },
+        describe() {
+            const limits = resolveRateLimits(settings);
+            const mode = limits.adaptive ? `adaptive, floor ${limits.min}, ceiling ${limits.max}` : 'fixed at chunk size';
+            return `${current()} command(s) per tick (${mode}), server at ~${tps.toFixed(1)} TPS`;
+        },
+    };
+}
+
+module.exports = {
+    DEFAULT_RATE,
+    resolveRateLimits,
+    createRateController,
+};
@@ -0,0 +1,89 @@
+const AIR_BLOCKS = ['air', 'cave_air', 'void_air'];
+
+function parseWanted(block) {
+    const match = String(block || 'air').match(/^(?:minecraft:)?([^[]+)(?:\[(.*)\])?$/);
+    const properties = {};
+
+    for (const pair of (match[2] || '').split(',').filter(Boolean)) {
+        const [key, value] = pair.split('=');
+        properties[key.trim()] = String(value).trim();
+    }
+
+    return { name: match[1], properties };
+}
+
+function isAir(name) {
+    return AIR_BLOCKS.includes(name);
+}
+
+// Block states are only compared for the properties the build actually specifies.
+function matchesBlock(current, block) {
+    const wanted = parseWanted(block);
+    const sameName = current.name === wanted.name || (isAir(current.name) && isAir(wanted.name));
+    const properties = sameName && typeof current.getProperties === 'function' ? current.getProperties() : {};
+
+    return sameName && Object.entries(wanted.properties)
+        .every(([key, value]) => String(properties[key]) === value);
+}
+
+/*
+    Used by --repair: compares what a build wants at a position with what the
+    world already has there, so only wrong blocks get placed.
+*/
+function createRepairCheck(bot) {
+    const counts = {
+        correct: 0,
+        missing: 0,
+        different: 0,
+        unloaded: 0,
+    };
+
+    const needsPlacing = (position, block) => {
+        const current = bot.blockAt(position);
+
+        if (!current) {
+            counts.unloaded++;
+            return true;
+        }
+
+        if (matchesBlock(current, block)) {
+            counts.correct++;
+            return false;
+        }
+
+        if (isAir(current.name)) counts.missing++;
+        else counts.different++;
+        return true;
+    };
+
+    // A /fill is needed when any block it covers is wrong; every block is still counted.
+    const needsFilling = (positions, block) => {
+        let needed = false;
+        for (const position of positions) {
+            if (needsPlacing(position, block)) needed = true;
+        }
+        return needed;
+    };
+
+    const describe = () => {
+        const parts = [
+            `${counts.correct} already correct`,
+            `${counts.missing} missing`,
+            `${counts.different} different`,
+        ];
+        if (counts.unloaded) parts.push(`${counts.unloaded} in unloaded chunks (placed anyway)`);
+        return `Repair: ${parts.join(', ')}.`;
+    };
+
+    return {
+        counts,
+        needsPlacing,
+        needsFilling,
+        describe,
+    };
+}
+
+module.exports = {
+    matchesBlock,
+    createRepairCheck,
+};
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { PNG } = require('pngjs');
+
+// 1.13+ packs use textures/block, older ones textures/blocks.
+const TEXTURE_PATTERN = /(?:^|\/)assets\/minecraft\/textures\/blocks?\/([^/]+)\.png$/i;
+
+// Channels are bucketed to this many bits when looking for the dominant colour.
+const DOMINANT_BITS = 4;
+
+function indexTextures(names) {
+    const textures = new Map();
+
+    for (const name of names) {
+        const match = name.replace(/\\/g, '/').match(TEXTURE_PATTERN);
+        if (match && !textures.has(match[1])) {
+            textures.set(match[1], name);
+        }
+    }
+
+    return textures;
+}
+
+function listFiles(directory, root = directory) {
+    const files = [];
+
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) files.push(...listFiles(fullPath, root));
+        else files.push(path.relative(root, fullPath));
+    }
+
+    return files;
+}
+
+/*
+    Opens a resource pack from a folder or a .zip and indexes its block
+    textures by name. The returned object reads texture PNGs on demand.
+*/
+function openResourcePack(location) {
+    const resolved = path.resolve(location);
+
+    if (!fs.existsSync(resolved)) {
+        throw new Error(`Resource pack "${location}" does not exist.`);
+    }
+
+    let textures;
+    let read;
+
+    if (fs.statSync(resolved).isDirectory()) {
+        textures = indexTextures(listFiles(resolved));
+        read = (entryName) => fs.readFileSync(path.join(resolved, entryName));
+    } else {
+        let zip;
+        try {
+            zip = new AdmZip(resolved);
+        } catch (error) {
+            throw new Error(`Unable to open resource pack "${location}": ${error.message}`);
+        }
+        textures = indexTextures(zip.getEntries().map((entry) => entry.entryName));
+        read = (entryName) => zip.readFile(entryName);
+    }
+
+    if (!textures.size) {
+        throw new Error(`No block textures found in "${location}".`);
+    }
+
+    return {
+        location: resolved,
+        textures,
+        readTexture(name) {
+            const entryName = textures.get(name);
+            if (!entryName) return null;
+            return PNG.sync.read(read(entryName));
+        },
+    };
+}
+
+// Blocks whose texture is not simply named after the block.
+function textureCandidates(block) {
+    const candidates = [block, `${block}_top`, `${block}_side`, `${block}_front`];
+
+    if (block.endsWith('_block')) {
+        const base = block.slice(0, -'_block'.length);
+        candidates.push(base, `${base}_top`, `${base}_side`);
+    }
+
+    return candidates;
+}
+
+function findBlockTexture(pack, block) {
+    for (const candidate of textureCandidates(block)) {
+        if (pack.textures.has(candidate)) {
+            return pack.readTexture(candidate);
+        }
+    }
+    return null;
+}
+
+/*
+    Average and dominant colours of a texture. Animated textures are stacked
+    vertically, so only the first square frame is sampled.
+*/
+function computeSwatches(png) {
+    const { width, data } = png;
+    const height = Math.min(png.height, width);
+    const shift = 8 - DOMINANT_BITS;
+    const buckets = new Map();
+
+    let totalWeight = 0;
+    let sum = [0, 0, 0];
+
+    for (let i = 0; i < width * height; i++) {
+        const o = i * 4;
+        const alpha = data[o + 3] / 255;
+        if (alpha === 0) continue;
+
+        const r = data[o];
+        const g = data[o + 1];
+        const b = data[o + 2];
+
+        sum[0] += r * alpha;
+        sum[1] += g * alpha;
+        sum[2] += b * alpha;
+        totalWeight += alpha;
+
+        const key = ((r >> shift) << (DOMINANT_BITS * 2)) | ((g >> shift) << DOMINANT_BITS) | (b >> shift);
+        const bucket = buckets.get(key) || { weight: 0, sum: [0, 0, 0] };
+        bucket.weight += alpha;
+        bucket.sum[0] += r * alpha;
+        bucket.sum[1] += g * alpha;
+        bucket.sum[2] += b * alpha;
+        buckets.set(key, bucket);
+    }
+
+    if (!totalWeight) return null;
+
+    let dominant = null;
+    for (const bucket of buckets.values()) {
+        if (!dominant || bucket.weight > dominant.weight) dominant = bucket;
+    }
+
+    return {
+        average: sum.map((value) => Math.round(value / totalWeight)),
+        dominant: dominant.sum.map((value) => Math.round(value / dominant.weight)),
+    };
+}
+
+function generatePalette(pack, blocks) {
+    const entries = [];
+    const missing = [];
+
+    for (const block of blocks) {
+        const texture = findBlockTexture(pack, block);
+        const swatches = texture && computeSwatches(texture);
+
+        if (!swatches) {
+            missing.push(block);
+            continue;
+        }
+
+        entries.push({ block, ...swatches });
+    }
+
+    return { entries, missing };
+}
+
+module.exports = {
+    openResourcePack,
+    findBlockTexture,
+    computeSwatches,
+    generatePalette,
+};
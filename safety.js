@@ -0,0 +1,139 @@
+const { boundsOf, groupByRegion, columnsOf } = require('./chunks.js');
+
+/*
+    What a build may do to blocks already in its way:
+      replace   overwrite everything (the build's empty pixels clear blocks too)
+      keep      only fill air, like `/setblock ... keep`; nothing is cleared
+      air-only  refuse to start unless the whole area is air, then build as keep
+*/
+const OVERWRITE_POLICIES = ['replace', 'keep', 'air-only'];
+
+const AIR_NAMES = new Set(['air', 'cave_air', 'void_air']);
+
+// Blocks that hold items or data the world would lose; used when the chunk didn't send the block entity itself.
+const BLOCK_ENTITY_PATTERN = /chest|barrel|shulker_box|furnace|smoker|hopper|dispenser|dropper|brewing_stand|sign|banner|beacon|spawner|lectern|jukebox|command_block|beehive|bee_nest|_bed$|campfire|enchanting_table|chiseled_bookshelf|decorated_pot|crafter|structure_block|jigsaw|vault|conduit|bell$|skull|(?:player|zombie|creeper|dragon|piglin)(?:_wall)?_head$/;
+
+// How many offending positions an error or warning lists.
+const MAX_LISTED = 5;
+
+function normalizeOverwrite(value) {
+    const policy = String(value ?? 'replace').toLowerCase().replace(/_/g, '-');
+    if (!OVERWRITE_POLICIES.includes(policy)) {
+        throw new Error(`Unknown overwrite policy "${value}". Use one of: ${OVERWRITE_POLICIES.join(', ')}.`);
+    }
+    return policy;
+}
+
+function isAirName(name) {
+    return AIR_NAMES.has(String(name).replace(/^minecraft:/, ''));
+}
+
+function hasBlockEntity(block) {
+    return Boolean(block.entity) || BLOCK_ENTITY_PATTERN.test(block.name);
+}
+
+// Settings store regions as { name, from: [x, y, z], to: [x, y, z], dimension? }.
+function overlapsRegion({ min, max }, region) {
+    return ['x', 'y', 'z'].every((axis, index) => {
+        const low = Math.min(region.from[index], region.to[index]);
+        const high = Math.max(region.from[index], region.to[index]);
+        return min[axis] <= high && max[axis] >= low;
+    });
+}
+
+function sameDimension(region, dimension) {
+    if (!region.dimension || !dimension) return true;
+    return String(region.dimension).replace(/^minecraft:/, '') === String(dimension).replace(/^minecraft:/, '');
+}
+
+const describePosition = ({ x, y, z }) => `${x} ${y} ${z}`;
+
+/*
+    Pre-flight for a build about to place blocks at `positions`. Throws when
+    the area leaves the world's height range or touches a protected region.
+    With `contents` (off for a resumed build, whose area already holds its
+    own blocks) it also throws when the replace policy would break a block
+    entity or the air-only policy finds the area occupied. Those two checks
+    can't pass over what they haven't seen, so they go region by region,
+    waiting on `load(positions)` to bring each region's chunks in, and throw
+    if some never loaded. Resolves to the bounding box and any warnings.
+*/
+async function checkBuildArea(bot, positions, { overwrite = 'replace', protectedRegions = [], contents = true, force = false, load } = {}) {
+    const box = boundsOf(positions);
+    const warnings = [];
+
+    const minY = bot.game?.minY ?? 0;
+    const maxY = minY + (bot.game?.height ?? 256) - 1;
+    if (box.min.y < minY || box.max.y > maxY) {
+        throw new Error(`The build spans y ${box.min.y} to ${box.max.y}, outside this world's build height (${minY} to ${maxY}).`);
+    }
+
+    const blocked = protectedRegions.find((region) => sameDimension(region, bot.game?.dimension) && overlapsRegion(box, region));
+    if (blocked) {
+        throw new Error(`The build crosses the protected region "${blocked.name}".`);
+    }
+
+    if (!contents) return { box, warnings };
+
+    const occupied = [];
+    const blockEntities = [];
+    let unloaded = 0;
+
+    const mustSee = overwrite === 'air-only' || (overwrite === 'replace' && !force);
+    const loading = mustSee && load;
+
+    for (const region of loading ? groupByRegion(positions, (position) => position) : [positions]) {
+        if (loading) {
+            const { min, max } = boundsOf(region);
+            await load(columnsOf(min, max));
+        }
+
+        for (const position of region) {
+            const current = bot.blockAt(position);
+            if (!current) {
+                unloaded++;
+                continue;
+            }
+            if (isAirName(current.name)) continue;
+
+            occupied.push({ position, name: current.name });
+            if (hasBlockEntity(current)) blockEntities.push({ position, name: current.name });
+        }
+    }
+
+    const list = (blocks) => blocks.slice(0, MAX_LISTED).map(({ position, name }) => `${name} at ${describePosition(position)}`).join(', ')
+        + (blocks.length > MAX_LISTED ? `, …and ${blocks.length - MAX_LISTED} more` : '');
+
+    if (mustSee && unloaded) {
+        const checking = overwrite === 'air-only' ? 'empty' : 'free of blocks holding items or data';
+        throw new Error(`${unloaded} position(s) are in chunks that did not load, so the area could not be checked to be ${checking}. Move the bot closer${overwrite === 'replace' ? ', or use --force' : ''}.`);
+    }
+    if (overwrite === 'air-only' && occupied.length) {
+        throw new Error(`The area is not empty (${occupied.length} block(s): ${list(occupied)}). Use --overwrite keep to build around them.`);
+    }
+    if (overwrite === 'replace' && blockEntities.length) {
+        if (!force) {
+            throw new Error(`The build would overwrite ${blockEntities.length} block(s) holding items or data (${list(blockEntities)}). Use --overwrite keep to leave them, or --force.`);
+        }
+        warnings.push(`Overwriting ${blockEntities.length} block(s) holding items or data: ${list(blockEntities)}.`);
+    }
+    if (overwrite === 'replace' && occupied.length > blockEntities.length) {
+        warnings.push(`The build replaces ${occupied.length} existing block(s).`);
+    }
+    if (overwrite === 'keep' && occupied.length) {
+        warnings.push(`Leaving ${occupied.length} existing block(s) as they are.`);
+    }
+    if (unloaded) {
+        warnings.push(`${unloaded} position(s) are in unloaded chunks and could not be checked.`);
+    }
+
+    return { box, warnings };
+}
+
+module.exports = {
+    OVERWRITE_POLICIES,
+    normalizeOverwrite,
+    isAirName,
+    boundsOf,
+    checkBuildArea,
+};
@@ -0,0 +1,559 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const nbt = require('prismarine-nbt');
+const minecraftData = require('minecraft-data');
+
+// Used for DataVersion when no bot is connected to say which version we are on.
+const DEFAULT_VERSION = '1.21.1';
+
+const EXPORT_FORMATS = {
+    schem: 'Sponge schematic',
+    nbt: 'structure',
+    litematic: 'Litematica schematic',
+};
+
+// Structure blocks refuse to load anything larger than this along any axis.
+const STRUCTURE_BLOCK_LIMIT = 48;
+
+const AIR = 'minecraft:air';
+
+const AIR_BLOCKS = new Set(['minecraft:air', 'minecraft:cave_air', 'minecraft:void_air', 'minecraft:structure_void']);
+
+/*
+    A sparse set of blocks at integer positions. Positions can be anywhere;
+    exporters shift everything so the smallest corner becomes 0,0,0.
+*/
+function createRegion() {
+    const blocks = new Map();
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+
+    const include = (position) => {
+        for (let axis = 0; axis < 3; axis++) {
+            min[axis] = Math.min(min[axis], position[axis]);
+            max[axis] = Math.max(max[axis], position[axis]);
+        }
+    };
+
+    return {
+        set(x, y, z, block) {
+            const position = [Math.floor(x), Math.floor(y), Math.floor(z)];
+            const key = position.join(',');
+
+            blocks.delete(key);
+            blocks.set(key, { position, block });
+            include(position);
+        },
+        // Grows the bounds without adding a block.
+        include(x, y, z) {
+            include([Math.floor(x), Math.floor(y), Math.floor(z)]);
+        },
+        get size() {
+            return min[0] <= max[0] ? max.map((value, axis) => value - min[axis] + 1) : [0, 0, 0];
+        },
+        // Smallest and largest corner in the coordinates blocks were set with.
+        get bounds() {
+            return { min: [...min], max: [...max] };
+        },
+        // Blocks with positions relative to the smallest corner.
+        entries() {
+            return [...blocks.values()].map(({ position, block }) => ({
+                position: position.map((value, axis) => value - min[axis]),
+                block,
+            }));
+        },
+    };
+}
+
+// "oak_log[axis=x]" -> { name: 'minecraft:oak_log', properties: { axis: 'x' } }
+function parseBlockState(block) {
+    const match = String(block).match(/^([^[]+)(?:\[(.*)\])?$/);
+    const name = match[1].includes(':') ? match[1] : `minecraft:${match[1]}`;
+    const properties = {};
+
+    for (const pair of (match[2] || '').split(',').filter(Boolean)) {
+        const [key, value] = pair.split('=');
+        properties[key.trim()] = String(value).trim();
+    }
+
+    return { name, properties };
+}
+
+function formatBlockState({ name, properties }) {
+    const pairs = Object.entries(properties).map(([key, value]) => `${key}=${value}`);
+    return pairs.length ? `${name}[${pairs.join(',')}]` : name;
+}
+
+// Palette of distinct block states with air first, as Litematica expects.
+function buildPalette(entries) {
+    const states = [AIR];
+    const indices = new Map([[AIR, 0]]);
+    const stateOf = entries.map(({ block }) => {
+        const state = formatBlockState(parseBlockState(block));
+        if (!indices.has(state)) {
+            indices.set(state, states.length);
+            states.push(state);
+        }
+        return indices.get(state);
+    });
+
+    return { states, stateOf };
+}
+
+function blockStateCompound(state) {
+    const { name, properties } = parseBlockState(state);
+    const value = { Name: nbt.string(name) };
+
+    if (Object.keys(properties).length) {
+        value.Properties = nbt.comp(Object.fromEntries(
+            Object.entries(properties).map(([key, property]) => [key, nbt.string(property)]),
+        ));
+    }
+
+    return value;
+}
+
+function intList(values) {
+    return { type: 'list', value: { type: 'int', value: values } };
+}
+
+function compoundList(values) {
+    return { type: 'list', value: { type: values.length ? 'compound' : 'end', value: values } };
+}
+
+function toSignedInt(value) {
+    return value > 0x7fffffff ? value - 0x100000000 : value;
+}
+
+// prismarine-nbt wants longs as [high, low] signed 32-bit halves.
+function splitLong(value) {
+    const unsigned = BigInt.asUintN(64, value);
+    return [
+        toSignedInt(Number(unsigned >> 32n)),
+        toSignedInt(Number(unsigned & 0xffffffffn)),
+    ];
+}
+
+function getDataVersion(version) {
+    const data = minecraftData(version || DEFAULT_VERSION) || minecraftData(DEFAULT_VERSION);
+    return data.version.dataVersion;
+}
+
+function writeVarint(bytes, value) {
+    while (value > 0x7f) {
+        bytes.push((value & 0x7f) | 0x80);
+        value >>>= 7;
+    }
+    bytes.push(value);
+}
+
+function createSpongeSchematic(region, { dataVersion, name, author }) {
+    const [width, height, length] = region.size;
+    const entries = region.entries();
+    const { states, stateOf } = buildPalette(entries);
+
+    const grid = new Array(width * height * length).fill(0);
+    entries.forEach(({ position: [x, y, z] }, i) => {
+        grid[x + z * width + y * width * length] = stateOf[i];
+    });
+
+    const blockData = [];
+    for (const value of grid) writeVarint(blockData, value);
+
+    return nbt.comp({
+        Version: nbt.int(2),
+        DataVersion: nbt.int(dataVersion),
+        Metadata: nbt.comp({
+            Name: nbt.string(name),
+            Author: nbt.string(author),
+        }),
+        Width: nbt.short(width),
+        Height: nbt.short(height),
+        Length: nbt.short(length),
+        Offset: nbt.intArray([0, 0, 0]),
+        PaletteMax: nbt.int(states.length),
+        Palette: nbt.comp(Object.fromEntries(states.map((state, index) => [state, nbt.int(index)]))),
+        BlockData: nbt.byteArray(blockData.map((byte) => (byte > 127 ? byte - 256 : byte))),
+        BlockEntities: compoundList([]),
+    }, 'Schematic');
+}
+
+// Unlike the other formats, blocks that were never set are left out (kept as they are when loaded).
+function createStructure(region, { dataVersion, author }) {
+    const entries = region.entries();
+    const { states, stateOf } = buildPalette(entries);
+
+    return nbt.comp({
+        DataVersion: nbt.int(dataVersion),
+        author: nbt.string(author),
+        size: intList(region.size),
+        palette: compoundList(states.map(blockStateCompound)),
+        blocks: compoundList(entries.map(({ position }, i) => ({
+            state: nbt.int(stateOf[i]),
+            pos: intList(position),
+        }))),
+        entities: compoundList([]),
+    });
+}
+
+function createLitematic(region, { dataVersion, name, author }) {
+    const [width, height, length] = region.size;
+    const volume = width * height * length;
+    const entries = region.entries();
+    const { states, stateOf } = buildPalette(entries);
+
+    const grid = new Array(volume).fill(0);
+    entries.forEach(({ position: [x, y, z] }, i) => {
+        grid[(y * length + z) * width + x] = stateOf[i];
+    });
+
+    // Entries are packed back to back and may straddle two longs.
+    const bits = Math.max(2, Math.ceil(Math.log2(states.length)));
+    const longs = new Array(Math.ceil(volume * bits / 64)).fill(0n);
+    grid.forEach((value, index) => {
+        const bit = index * bits;
+        const word = Math.floor(bit / 64);
+        const offset = BigInt(bit % 64);
+
+        longs[word] |= BigInt(value) << offset;
+        if (Number(offset) + bits > 64) {
+            longs[word + 1] |= BigInt(value) >> (64n - offset);
+        }
+    });
+
+    const now = splitLong(BigInt(Date.now()));
+    const vector = ([x, y, z]) => nbt.comp({ x: nbt.int(x), y: nbt.int(y), z: nbt.int(z) });
+    const nonAir = entries.filter(({ block }) => parseBlockState(block).name !== AIR).length;
+
+    return nbt.comp({
+        Version: nbt.int(6),
+        SubVersion: nbt.int(1),
+        MinecraftDataVersion: nbt.int(dataVersion),
+        Metadata: nbt.comp({
+            Name: nbt.string(name),
+            Author: nbt.string(author),
+            Description: nbt.string(''),
+            RegionCount: nbt.int(1),
+            TotalBlocks: nbt.int(nonAir),
+            TotalVolume: nbt.int(volume),
+            TimeCreated: nbt.long(now),
+            TimeModified: nbt.long(now),
+            EnclosingSize: vector(region.size),
+        }),
+        Regions: nbt.comp({
+            [name]: nbt.comp({
+                Position: vector([0, 0, 0]),
+                Size: vector(region.size),
+                BlockStatePalette: compoundList(states.map(blockStateCompound)),
+                BlockStates: nbt.longArray(longs.map(splitLong)),
+                TileEntities: compoundList([]),
+                Entities: compoundList([]),
+                PendingBlockTicks: compoundList([]),
+                PendingFluidTicks: compoundList([]),
+            }),
+        }),
+    });
+}
+
+function readVarints(bytes) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+
+    for (const byte of bytes) {
+        value |= (byte & 0x7f) << shift;
+        if (byte & 0x80) {
+            shift += 7;
+            continue;
+        }
+        values.push(value);
+        value = 0;
+        shift = 0;
+    }
+
+    return values;
+}
+
+function joinLong(value) {
+    if (typeof value === 'bigint') return BigInt.asUintN(64, value);
+    return (BigInt.asUintN(32, BigInt(value[0])) << 32n) | BigInt.asUintN(32, BigInt(value[1]));
+}
+
+function formatProperties(properties = {}) {
+    return Object.entries(properties).map(([key, value]) => `${key}=${value}`).join(',');
+}
+
+function stateFromCompound({ Name, Properties }) {
+    const properties = formatProperties(Properties);
+    return properties ? `${Name}[${properties}]` : Name;
+}
+
+// `palette` maps stored values to block states; pass null when the values already are states.
+function readGrid(region, [width, height, length], values, palette, indexOf) {
+    for (let y = 0; y < height; y++) {
+        for (let z = 0; z < length; z++) {
+            for (let x = 0; x < width; x++) {
+                const value = values[indexOf(x, y, z)];
+                const block = palette ? palette[value] : value;
+                if (block !== undefined) region.set(x, y, z, block);
+            }
+        }
+    }
+}
+
+function readSpongeSchematic(data) {
+    // Version 3 nests everything under "Schematic" and moves the blocks into "Blocks".
+    const root = data.Schematic || data;
+    const blocks = root.Blocks || root;
+    const size = [root.Width, root.Height, root.Length].map((value) => value & 0xffff);
+    const palette = [];
+
+    for (const [state, index] of Object.entries(blocks.Palette || {})) {
+        palette[index] = state;
+    }
+
+    const region = createRegion();
+    const values = readVarints((blocks.BlockData || blocks.Data).map((byte) => byte & 0xff));
+    readGrid(region, size, values, palette, (x, y, z) => x + z * size[0] + y * size[0] * size[2]);
+
+    return region;
+}
+
+// MCEdit schematics store numeric ids from before 1.13.
+function readLegacySchematic(data) {
+    const legacy = minecraftData.legacy.pc.blocks;
+    const size = [data.Width, data.Height, data.Length];
+    const region = createRegion();
+
+    readGrid(region, size, data.Blocks.map((id, index) => {
+        const add = data.AddBlocks ? (data.AddBlocks[index >> 1] >> ((index & 1) ? 0 : 4)) & 0xf : 0;
+        const block = (id & 0xff) | (add << 8);
+        const meta = data.Data[index] & 0xf;
+        return legacy[`${block}:${meta}`] || legacy[`${block}:0`] || AIR;
+    }), null, (x, y, z) => (y * size[2] + z) * size[0] + x);
+
+    return region;
+}
+
+function readStructure(data) {
+    const palette = (data.palette || data.palettes[0]).map(stateFromCompound);
+    const region = createRegion();
+
+    // Structures only list the blocks they contain; keep the full size as the bounds.
+    region.include(0, 0, 0);
+    region.include(data.size[0] - 1, data.size[1] - 1, data.size[2] - 1);
+
+    for (const { state, pos } of data.blocks) {
+        region.set(pos[0], pos[1], pos[2], palette[state]);
+    }
+
+    return region;
+}
+
+function readLitematic(data) {
+    const region = createRegion();
+
+    for (const part of Object.values(data.Regions)) {
+        const size = [part.Size.x, part.Size.y, part.Size.z];
+        const dimensions = size.map(Math.abs);
+        // Negative sizes grow the region backwards from its position.
+        const corner = [part.Position.x, part.Position.y, part.Position.z]
+            .map((value, axis) => (size[axis] < 0 ? value + size[axis] + 1 : value));
+
+        const palette = part.BlockStatePalette.map(stateFromCompound);
+        const bits = Math.max(2, Math.ceil(Math.log2(palette.length)));
+        const mask = (1n << BigInt(bits)) - 1n;
+        const longs = part.BlockStates.map(joinLong);
+
+        for (let y = 0; y < dimensions[1]; y++) {
+            for (let z = 0; z < dimensions[2]; z++) {
+                for (let x = 0; x < dimensions[0]; x++) {
+                    const bit = ((y * dimensions[2] + z) * dimensions[0] + x) * bits;
+                    const word = Math.floor(bit / 64);
+                    const offset = BigInt(bit % 64);
+
+                    let value = longs[word] >> offset;
+                    if (Number(offset) + bits > 64) value |= longs[word + 1] << (64n - offset);
+
+                    region.set(corner[0] + x, corner[1] + y, corner[2] + z, palette[Number(value & mask)]);
+                }
+            }
+        }
+    }
+
+    return region;
+}
+
+const READERS = {
+    schem: readSpongeSchematic,
+    schematic: (data) => (data.Blocks && data.Data && !data.Palette ? readLegacySchematic(data) : readSpongeSchematic(data)),
+    nbt: readStructure,
+    litematic: readLitematic,
+};
+
+/*
+    Loads a .schem, .schematic, .nbt or .litematic file into a region of
+    block state strings such as "minecraft:oak_stairs[facing=east,half=bottom]".
+*/
+async function loadSchematic(file) {
+    const type = path.extname(String(file)).slice(1).toLowerCase();
+
+    if (!READERS[type]) {
+        throw new Error(`Unsupported schematic "${file}". Use a .${Object.keys(READERS).join(', .')} file.`);
+    }
+
+    let buffer;
+    try {
+        buffer = await fs.promises.readFile(path.resolve(String(file)));
+    } catch (error) {
+        throw new Error(`Unable to read schematic "${file}": ${error.message}`);
+    }
+
+    let parsed;
+    try {
+        ({ parsed } = await nbt.parse(buffer));
+    } catch (error) {
+        throw new Error(`"${file}" is not a valid NBT file: ${error.message}`);
+    }
+
+    return READERS[type](nbt.simplify(parsed));
+}
+
+const HORIZONTAL = ['north', 'east', 'south', 'west'];
+
+// Rail shapes after one clockwise quarter turn.
+const RAIL_TURNS = {
+    north_south: 'east_west',
+    east_west: 'north_south',
+    ascending_north: 'ascending_east',
+    ascending_east: 'ascending_south',
+    ascending_south: 'ascending_west',
+    ascending_west: 'ascending_north',
+    north_east: 'south_east',
+    south_east: 'south_west',
+    south_west: 'north_west',
+    north_west: 'north_east',
+};
+
+function turnDirection(direction, turns) {
+    const index = HORIZONTAL.indexOf(direction);
+    return index === -1 ? direction : HORIZONTAL[(index + turns) % 4];
+}
+
+/*
+    Rotates the direction-dependent properties of a block state clockwise
+    (seen from above) by `rotate` degrees: facing, axis, sign/banner
+    rotation, rail shapes and per-side connections such as fences.
+*/
+function rotateBlockState(block, rotate) {
+    const turns = (rotate / 90) % 4;
+    if (!turns) return block;
+
+    const { name, properties } = parseBlockState(block);
+    const rotated = {};
+
+    for (const [key, value] of Object.entries(properties)) {
+        if (HORIZONTAL.includes(key)) {
+            rotated[turnDirection(key, turns)] = value;
+        } else if (key === 'facing' || key === 'horizontal_facing') {
+            rotated[key] = turnDirection(value, turns);
+        } else if (key === 'axis' && turns % 2 === 1 && value !== 'y') {
+            rotated[key] = value === 'x' ? 'z' : 'x';
+        } else if (key === 'rotation') {
+            rotated[key] = String((Number(value) + turns * 4) % 16);
+        } else if (key === 'shape' && RAIL_TURNS[value]) {
+            let shape = value;
+            for (let i = 0; i < turns; i++) shape = RAIL_TURNS[shape];
+            rotated[key] = shape;
+        } else {
+            rotated[key] = value;
+        }
+    }
+
+    return formatBlockState({ name, properties: rotated });
+}
+
+// Turns the whole region clockwise about the vertical axis, block states included.
+function rotateRegion(region, rotate) {
+    if (!rotate) return region;
+
+    const [width, , length] = region.size;
+    const rotated = createRegion();
+    const turn = {
+        90: ([x, y, z]) => [length - 1 - z, y, x],
+        180: ([x, y, z]) => [width - 1 - x, y, length - 1 - z],
+        270: ([x, y, z]) => [z, y, width - 1 - x],
+    }[rotate];
+
+    // Both corners turned, so the rotated size keeps empty space the blocks alone wouldn't reach.
+    rotated.include(...turn([0, 0, 0]));
+    rotated.include(...turn(region.size.map((value) => value - 1)));
+
+    for (const { position, block } of region.entries()) {
+        rotated.set(...turn(position), rotateBlockState(block, rotate));
+    }
+
+    return rotated;
+}
+
+function isAirBlock(block) {
+    return !block || AIR_BLOCKS.has(parseBlockState(block).name);
+}
+
+const WRITERS = {
+    schem: createSpongeSchematic,
+    nbt: createStructure,
+    litematic: createLitematic,
+};
+
+// The format comes from --format, or else from the file extension.
+function resolveExportFormat(file, format) {
+    const type = String(format || path.extname(String(file)).slice(1)).toLowerCase();
+
+    if (!WRITERS[type]) {
+        throw new Error(`Unknown export format "${type}". Use one of: ${Object.keys(WRITERS).join(', ')}.`);
+    }
+
+    return type;
+}
+
+/*
+    Writes the region as a gzipped NBT file. Returns the resolved path, the
+    format and any warnings worth passing on.
+*/
+function exportRegion(region, file, { format, name, author = 'mc-printer', version } = {}) {
+    if (!region.size[0]) {
+        throw new Error('Nothing to export: the build has no blocks.');
+    }
+
+    const type = resolveExportFormat(file, format);
+    const resolved = path.resolve(String(file));
+    const tag = WRITERS[type](region, {
+        dataVersion: getDataVersion(version),
+        name: name || path.basename(resolved, path.extname(resolved)),
+        author,
+    });
+
+    fs.writeFileSync(resolved, zlib.gzipSync(nbt.writeUncompressed(tag)));
+
+    const warnings = [];
+    if (type === 'nbt' && region.size.some((value) => value > STRUCTURE_BLOCK_LIMIT)) {
+        warnings.push(`Structure is larger than ${STRUCTURE_BLOCK_LIMIT} blocks; load it with /place template rather than a structure block.`);
+    }
+
+    return { file: resolved, format: type, warnings };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    createRegion,
+    parseBlockState,
+    formatBlockState,
+    isAirBlock,
+    loadSchematic,
+    rotateBlockState,
+    rotateRegion,
+    resolveExportFormat,
+    exportRegion,
+};
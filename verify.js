@@ -0,0 +1,82 @@
+const { matchesBlock } = require('./repair.js');
+const { waitForTicks } = require('./bot-pool.js');
+
+// Extra attempts at a wrong block before it is reported as failed.
+const DEFAULT_RETRIES = 2;
+
+// Ticks to wait before looking, so the server's block updates have arrived.
+const SETTLE_TICKS = 10;
+
+const UNLOADED = 'chunk not loaded, could not check';
+
+const positionKey = (position) => `${position.x},${position.y},${position.z}`;
+
+/*
+    Placing is fire-and-forget, so once a build part is done every intended
+    block is read back with blockAt. Wrong ones are placed again with
+    `place(position, block)`, up to `retries` times; whatever is still wrong
+    comes back with the reason. `errors` holds what went wrong when a block
+    was placed the first time (survival placement can say why).
+*/
+async function verifyPlacements(bot, entries, { place, retries = DEFAULT_RETRIES, errors = new Map(), isCancelled = () => false }) {
+    const check = (entry) => {
+        const current = bot.blockAt(entry.position);
+        if (!current) return UNLOADED;
+        if (matchesBlock(current, entry.block)) return null;
+
+        const found = `${current.name}${current.name === String(entry.block).replace(/^minecraft:|\[.*$/g, '') ? ' with other block states' : ''}`;
+        return `found ${found}`;
+    };
+
+    const findWrong = (list) => list
+        .map((entry) => ({ ...entry, reason: check(entry) }))
+        .filter((entry) => entry.reason);
+
+    await waitForTicks(bot, SETTLE_TICKS);
+
+    let wrong = findWrong(entries);
+    const initiallyWrong = wrong.length;
+    let attempts = 0;
+
+    while (attempts < retries && !isCancelled() && wrong.some((entry) => entry.reason !== UNLOADED)) {
+        attempts++;
+
+        for (const entry of wrong) {
+            if (isCancelled()) break;
+            if (entry.reason === UNLOADED) continue;
+
+            const error = await place(entry.position, entry.block);
+            if (error) errors.set(positionKey(entry.position), error);
+        }
+
+        await waitForTicks(bot, SETTLE_TICKS);
+        wrong = findWrong(wrong);
+    }
+
+    const failed = wrong.map(({ position, block, reason }) => {
+        const error = errors.get(positionKey(position));
+        return {
+            position: { x: position.x, y: position.y, z: position.z },
+            block,
+            reason: error && reason !== UNLOADED ? `${reason} (${error})` : reason,
+        };
+    });
+
+    return {
+        checked: entries.length,
+        fixed: initiallyWrong - failed.length,
+        attempts,
+        failed,
+    };
+}
+
+function describeFailure({ position, block, reason }) {
+    return `${position.x} ${position.y} ${position.z} ${block}: ${reason}`;
+}
+
+module.exports = {
+    DEFAULT_RETRIES,
+    positionKey,
+    verifyPlacements,
+    describeFailure,
+};